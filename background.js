@@ -1,282 +1,490 @@
-// Background service worker: perform translations and persist cache. Runs in MV3 background context.
+// Background script: perform translations and persist cache. Runs as a non-persistent event page
+// in Firefox and as a service worker in Chromium (see build.js); either may be stopped when idle
+// and started again for the next message, so nothing that matters may live in memory only.
+// Settings come from settings.js, translation providers from providers.js (with request shaping
+// from ratelimit.js), the glossary from glossary.js and the translation cache from cache.js, all
+// loaded first, after compat.js.
 
-let _inMemoryCache = new Map(); // key -> Promise<string>
-let _persistentCache = {}; // key -> { v: string, t: timestamp }
-let _saveTimer = null;
-let MAX_PERSIST_ENTRIES = 1000;
-let CACHE_TTL_DAYS = 30;
-let USE_CLOUD = false;
-let GOOGLE_API_KEY = '';
+let PROVIDER_CHAIN = DEFAULT_PROVIDER_CHAIN.slice();
+// Per-provider settings handed to provider.translate()
+let PROVIDER_SETTINGS = {};
+
+const PROVIDER_SETTING_KEYS = ['googleApiKey','libreUrl','libreApiKey','httpUrl','httpMethod','httpHeaders','httpBodyTemplate','httpResultPath'];
+
+// The stored chain without providers this version does not know
+function resolveProviderChain(chain) {
+  return chain.filter(id => getProvider(id));
+}
+
+// Chunking, rate limiting, retries and the circuit breaker of each provider, by provider id
+const _providerGuards = new Map();
+
+// Texts every provider failed on: text||target -> { at, status, reason }. They are not sent
+// again until FAILED_RETRY_MS has passed (or a retry is forced), so a failing batch is not
+// re-sent on every scroll.
+const _recentFailures = new Map();
+const FAILED_RETRY_MS = 60 * 1000;
+const MAX_RECENT_FAILURES = 1000;
+
+function guardFor(provider) {
+  if (!_providerGuards.has(provider.id)) {
+    _providerGuards.set(provider.id, XHebrewRateLimit.createProviderGuard({ rate: provider.rate }));
+  }
+  return _providerGuards.get(provider.id);
+}
+
+// GET providers count each text as its `&q=` parameter
+function chunkingFor(provider) {
+  const limits = provider.limits(PROVIDER_SETTINGS);
+  return { limits, measure: limits.encoded ? t => encodeURIComponent(t).length + 3 : t => t.length };
+}
+
+// The remembered failure for text as { status, reason }, or null
+function recentFailure(text, target) {
+  const key = text + '||' + target;
+  const failure = _recentFailures.get(key);
+  if (!failure) return null;
+  if (Date.now() - failure.at < FAILED_RETRY_MS) return failure;
+  _recentFailures.delete(key);
+  return null;
+}
+
+function recordFailure(text, target, status, reason) {
+  if (_recentFailures.size >= MAX_RECENT_FAILURES) _recentFailures.clear();
+  _recentFailures.set(text + '||' + target, { at: Date.now(), status, reason });
+}
+
+// Status of a translate reply. Success is 'translated' (a provider answered just now) or
+// 'cached'; a failure is 'throttled', 'auth' (key rejected), 'network' (no answer: fetch failed
+// or was aborted), 'unsupported' (language not offered by the provider) or 'failed' for anything
+// else, server errors and unreadable answers included.
+function classifyError(err) {
+  if (!err) return 'failed';
+  if (err instanceof XHebrewRateLimit.CircuitOpenError || err.status === 429) return 'throttled';
+  if (XHebrewRateLimit.isNetworkError(err)) return 'network';
+  const detail = err.detail || '';
+  if (err.status === 401 || err.status === 403 || /api[ _-]?key/i.test(detail)) return 'auth';
+  if (/language|not supported/i.test(detail)) return 'unsupported';
+  return 'failed';
+}
+
+// { status, reason } for a text the chain could not translate. `failure` is the error of the
+// first provider that tried, as { providerId, err }, or null when no provider was tried.
+function describeFailure(failure) {
+  if (!failure) return { status: 'failed', reason: 'No translation provider is configured' };
+  const what = failure.err ? failure.err.message : 'no translation returned';
+  return { status: classifyError(failure.err), reason: providerLabel(failure.providerId) + ': ' + what };
+}
+
+// The glossary tag only appears for texts containing glossary terms, so other keys keep their old form
+function cacheKeyFor(providerId, text, target) {
+  const tag = glossaryTag(text, target);
+  return getProvider(providerId).cachePrefix + '|' + text + '||' + target + (tag ? '|g' + tag : '');
+}
+
+// Corrections made by hand in the cache inspector. They are stored pinned under their own
+// prefix, per text and target, and win over every provider.
+const MANUAL_PROVIDER_ID = 'manual';
+const MANUAL_PROVIDER_LABEL = 'Manual correction';
+
+function manualCacheKey(text, target) {
+  return MANUAL_PROVIDER_ID + '|' + text + '||' + target;
+}
+
+// Split a cache key back into { prefix, text, target }, or null for keys of an unknown shape
+function parseCacheKey(key) {
+  const m = /^([^|]*)\|([\s\S]*)\|\|([^|]*)(?:\|g[0-9a-f]+)?$/.exec(key);
+  return m ? { prefix: m[1], text: m[2], target: m[3] } : null;
+}
+
+function providerIdForPrefix(prefix) {
+  if (prefix === MANUAL_PROVIDER_ID) return MANUAL_PROVIDER_ID;
+  const provider = Object.values(TRANSLATION_PROVIDERS).find(p => p.cachePrefix === prefix);
+  return provider ? provider.id : null;
+}
+
+function providerLabel(providerId) {
+  if (providerId === MANUAL_PROVIDER_ID) return MANUAL_PROVIDER_LABEL;
+  const provider = providerId ? getProvider(providerId) : null;
+  return provider ? provider.label : '';
+}
+
+// Take over validated settings (XHebrewSettings.loadSettings): cache limits, providers, glossary
+function applySettings(settings) {
+  configureCache({ maxEntries: settings.cacheMaxEntries, maxBytes: settings.cacheMaxBytes, ttlDays: settings.cacheTTLDays });
+  PROVIDER_CHAIN = resolveProviderChain(settings.providerChain);
+  PROVIDER_SETTINGS = {};
+  for (const k of PROVIDER_SETTING_KEYS) PROVIDER_SETTINGS[k] = settings[k];
+  setGlossary(settings.glossary);
+}
 
 async function loadSettingsAndCache() {
   try {
-    const res = await browser.storage.local.get(['translationCache','cacheMaxEntries','cacheTTLDays','useCloudTranslate','googleApiKey']);
-    if (typeof res.cacheMaxEntries === 'number') MAX_PERSIST_ENTRIES = res.cacheMaxEntries;
-    if (typeof res.cacheTTLDays === 'number') CACHE_TTL_DAYS = res.cacheTTLDays;
-    USE_CLOUD = !!res.useCloudTranslate;
-    GOOGLE_API_KEY = res.googleApiKey || '';
-    const raw = res.translationCache || {};
-    const now = Date.now();
-    _persistentCache = {};
-    _inMemoryCache = new Map();
-    for (const k of Object.keys(raw)) {
-      const entry = raw[k];
-      if (!entry) continue;
-      let value, ts;
-      if (typeof entry === 'string') { value = entry; ts = now; }
-      else if (entry && typeof entry === 'object' && entry.v) { value = entry.v; ts = entry.t || now; }
-      else continue;
-      if (CACHE_TTL_DAYS > 0) {
-        const age = now - ts;
-        if (age > (CACHE_TTL_DAYS * 24 * 60 * 60 * 1000)) continue; // expired
-      }
-      _persistentCache[k] = { v: value, t: ts };
-      _inMemoryCache.set(k, Promise.resolve(value));
-    }
+    // settings of older versions are brought up to date before anyone reads them
+    await XHebrewSettings.migrateStoredSettings();
+    applySettings(await XHebrewSettings.loadSettings());
   } catch (e) {
-    _persistentCache = {};
-    _inMemoryCache = new Map();
+    // keep the defaults
   }
+  await loadTranslationCache();
 }
 
-function scheduleSavePersistentCache() {
-  if (_saveTimer) return;
-  _saveTimer = setTimeout(async () => {
-    _saveTimer = null;
-    try {
-      const obj = {};
-      let count = 0;
-      const now = Date.now();
-      for (const [k, vPromise] of _inMemoryCache.entries()) {
-        if (count >= MAX_PERSIST_ENTRIES) break;
-        try {
-          const val = await Promise.resolve(vPromise);
-          if (val) {
-            obj[k] = { v: val, t: now };
-            count++;
-          }
-        } catch (e) {}
-      }
-      await browser.storage.local.set({ translationCache: obj });
-      _persistentCache = obj;
-    } catch (e) {
-      // ignore
-    }
-  }, 2000);
+// Look a translation up: a manual correction first, then the caches of every provider in
+// the chain, in chain order. Returns { translated, providerId }, or null on a miss.
+function lookupCachedTranslation(text, target) {
+  const corrected = cacheGet(manualCacheKey(text, target));
+  if (corrected) return { translated: corrected, providerId: MANUAL_PROVIDER_ID };
+  for (const id of PROVIDER_CHAIN) {
+    const translated = cacheGet(cacheKeyFor(id, text, target));
+    if (translated) return { translated, providerId: id };
+  }
+  return null;
 }
 
-async function doTranslate(text, target) {
-  if (!text || !target) return '';
-  // Build a key that includes current mode so cache is separate per endpoint
-  const modePrefix = USE_CLOUD ? 'cloud|' : 'public|';
-  const key = modePrefix + text + '||' + target;
-  if (_inMemoryCache.has(key)) return _inMemoryCache.get(key);
-  if (_persistentCache && _persistentCache[key] && _persistentCache[key].v) {
-    const val = _persistentCache[key].v;
-    _inMemoryCache.set(key, Promise.resolve(val));
-    return val;
-  }
+// Resolves to { translated, providerId, status, reason }; translated is '' when every
+// provider failed, and status and reason say why (see classifyError).
+// `source` is the language detected by the content script, or 'auto'. options.force skips the
+// remembered failure of a text, for an explicit retry; options.requestId lets the caller
+// withdraw the request with cancelTranslationRequests, which resolves it as 'cancelled'.
+async function doTranslate(text, target, source, options) {
+  const opts = options || {};
+  if (!text || !target) return { translated: '', providerId: null, status: 'failed', reason: 'Nothing to translate' };
+  await _ready;
+  const cached = lookupCachedTranslation(text, target);
+  if (cached !== null) return Object.assign(cached, { status: 'cached', reason: '' });
+  const failure = opts.force ? null : recentFailure(text, target);
+  if (failure) return { translated: '', providerId: null, status: failure.status, reason: failure.reason };
 
-  // Not cached: queue for batched translation
-  return queueTranslationRequest(key, text, target);
+  // Not cached: queue for batched translation. The cache key depends on which
+  // provider answers, so pending requests are keyed by text and target only.
+  return queueTranslationRequest(text + '||' + target, text, target, source || 'auto', opts.requestId);
 }
 
-// Batching setup: pendingRequests maps key -> { text, target, resolvers: [resolveFunc,...] }
+// Batching setup: pendingRequests maps key -> { text, target, source, resolvers: [{ resolve, requestId },...] }
 const pendingRequests = new Map();
 let pendingFlushTimer = null;
 const BATCH_DEBOUNCE_MS = 120; // short window to aggregate requests
 
-function queueTranslationRequest(key, text, target) {
+// Texts of the batches being translated, key -> { text, target, source }
+const _inFlight = new Map();
+
+// The queued and in-flight texts are kept in storage.session while they wait, so that a
+// background stopped in the middle of a batch translates them when it starts again. The callers
+// are gone by then (their messages failed), but the translations land in the cache for their
+// next request. Not every browser has storage.session; there the texts are simply lost.
+const PENDING_STATE_KEY = 'pendingTranslations';
+
+function savePendingState() {
+  if (!browser.storage.session) return Promise.resolve();
+  const texts = [];
+  for (const entries of [_inFlight, pendingRequests]) {
+    for (const entry of entries.values()) texts.push({ text: entry.text, target: entry.target, source: entry.source });
+  }
+  const write = texts.length ? browser.storage.session.set({ [PENDING_STATE_KEY]: texts }) : browser.storage.session.remove(PENDING_STATE_KEY);
+  return write.catch(e => console.error('Failed to save the pending translations', e));
+}
+
+// Queue again what a stopped background left behind; nobody waits for these
+async function restorePendingState() {
+  if (!browser.storage.session) return;
+  let texts;
+  try {
+    texts = (await browser.storage.session.get(PENDING_STATE_KEY))[PENDING_STATE_KEY];
+  } catch (e) {
+    return;
+  }
+  if (!Array.isArray(texts) || texts.length === 0) return;
+  for (const { text, target, source } of texts) {
+    const key = text + '||' + target;
+    if (!pendingRequests.has(key)) pendingRequests.set(key, { text, target, source, resolvers: [] });
+  }
+  schedulePendingFlush();
+}
+
+// A service worker is stopped after 30 seconds without extension events, even while a batch
+// waits out a provider's Retry-After. Calling an extension API now and then keeps it running.
+const KEEPALIVE_INTERVAL_MS = 20 * 1000;
+
+async function keepAliveWhile(promise) {
+  const timer = setInterval(() => browser.runtime.getPlatformInfo().catch(() => {}), KEEPALIVE_INTERVAL_MS);
+  try {
+    return await promise;
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+function queueTranslationRequest(key, text, target, source, requestId) {
   return new Promise((resolve) => {
+    const resolver = { resolve, requestId: requestId || null };
     if (pendingRequests.has(key)) {
-      pendingRequests.get(key).resolvers.push(resolve);
+      pendingRequests.get(key).resolvers.push(resolver);
     } else {
-      pendingRequests.set(key, { text, target, resolvers: [resolve] });
+      pendingRequests.set(key, { text, target, source, resolvers: [resolver] });
     }
     schedulePendingFlush();
   });
 }
 
+// Withdraw callers whose requests are still waiting for the next batch, e.g. for tweets that
+// scrolled out of view. A text nobody waits for any more is left out of the batch.
+// Returns the number of callers cancelled.
+function cancelTranslationRequests(requestIds) {
+  const ids = new Set(requestIds);
+  let cancelled = 0;
+  for (const [key, entry] of pendingRequests) {
+    const keep = [];
+    for (const r of entry.resolvers) {
+      if (r.requestId && ids.has(r.requestId)) {
+        r.resolve({ translated: '', providerId: null, status: 'cancelled', reason: '' });
+        cancelled++;
+      } else {
+        keep.push(r);
+      }
+    }
+    // texts restored after a restart never had callers, so they stay
+    if (keep.length === 0 && entry.resolvers.length > 0) pendingRequests.delete(key);
+    entry.resolvers = keep;
+  }
+  return cancelled;
+}
+
 function schedulePendingFlush() {
   if (pendingFlushTimer) return;
   pendingFlushTimer = setTimeout(() => {
     pendingFlushTimer = null;
-    flushPendingRequests();
+    keepAliveWhile(flushPendingRequests()).catch(e => console.error('Translation batch failed', e));
   }, BATCH_DEBOUNCE_MS);
 }
 
+// Run the provider chain over `texts`: each provider only gets the texts that the
+// previous ones failed on or returned empty. Returns [{ translated, providerId, failure }]
+// per text, where failure is the first provider's error for an untranslated text.
+async function translateWithChain(texts, target, source) {
+  const results = texts.map(() => ({ translated: '', providerId: null, failure: null }));
+  let remaining = texts.map((t, i) => i);
+  for (const id of PROVIDER_CHAIN) {
+    if (remaining.length === 0) break;
+    const provider = getProvider(id);
+    if (!provider || !provider.isConfigured(PROVIDER_SETTINGS)) continue;
+    // failed chunks (after retries, or with the provider's circuit open) fall through to the next provider
+    const translateChunk = chunk => provider.translate(chunk, target, PROVIDER_SETTINGS, source);
+    const out = await guardFor(provider).run(remaining.map(i => texts[i]), translateChunk, chunkingFor(provider));
+    const stillMissing = [];
+    remaining.forEach((textIdx, j) => {
+      if (out.results[j]) {
+        results[textIdx] = { translated: out.results[j], providerId: id, failure: null };
+        return;
+      }
+      if (!results[textIdx].failure) results[textIdx].failure = { providerId: id, err: out.errors[j] };
+      stillMissing.push(textIdx);
+    });
+    remaining = stillMissing;
+  }
+  return results;
+}
+
 async function flushPendingRequests() {
   if (pendingRequests.size === 0) return;
-  // Group pending requests by target language to allow batching per target
+  // Group pending requests by source and target language to allow batching per language pair
   const byTarget = new Map();
   for (const [key, entry] of pendingRequests.entries()) {
-    const t = entry.target || 'en';
-    if (!byTarget.has(t)) byTarget.set(t, []);
-    byTarget.get(t).push({ key, text: entry.text, resolvers: entry.resolvers });
+    const pair = (entry.source || 'auto') + '>' + (entry.target || 'en');
+    if (!byTarget.has(pair)) byTarget.set(pair, []);
+    byTarget.get(pair).push({ key, text: entry.text, resolvers: entry.resolvers });
+    _inFlight.set(key, { text: entry.text, target: entry.target, source: entry.source });
   }
 
-  const now = Date.now();
   // Clear pendingRequests map now to allow new incoming requests to be queued
   pendingRequests.clear();
+  await savePendingState();
 
-  for (const [target, items] of byTarget.entries()) {
-    // dedupe by text/key
-    const unique = [];
-    const seen = new Set();
-    for (const it of items) {
-      if (!seen.has(it.key)) {
-        seen.add(it.key);
-        unique.push(it);
-      }
-    }
-
-    // For any unique item, check persistent cache again (in case it was saved meanwhile)
+  for (const [pair, items] of byTarget.entries()) {
+    const [source, target] = pair.split('>');
+    // For any item, check the caches again (in case it was translated meanwhile)
     const toTranslate = [];
-    const translateIndex = []; // maps index in toTranslate -> key
-    for (const it of unique) {
-      if (_inMemoryCache.has(it.key)) continue;
-      if (_persistentCache && _persistentCache[it.key] && _persistentCache[it.key].v) {
-        const v = _persistentCache[it.key].v;
-        _inMemoryCache.set(it.key, Promise.resolve(v));
-        continue;
+    for (const it of items) {
+      const cached = lookupCachedTranslation(it.text, target);
+      if (cached !== null) {
+        Object.assign(it, cached, { status: 'cached', reason: '' });
+      } else {
+        toTranslate.push(it);
       }
-      toTranslate.push(it.text);
-      translateIndex.push(it.key);
     }
 
-    let results = [];
     if (toTranslate.length > 0) {
-      try {
-        if (USE_CLOUD && GOOGLE_API_KEY) {
-          // Cloud Translate v2 supports multiple q parameters
-          const params = new URLSearchParams();
-          for (const q of toTranslate) params.append('q', q);
-          params.append('target', target);
-          params.append('format', 'text');
-          const url = 'https://translation.googleapis.com/language/translate/v2?key=' + encodeURIComponent(GOOGLE_API_KEY) + '&' + params.toString();
-          const resp = await fetch(url, { method: 'GET' });
-          if (resp.ok) {
-            const data = await resp.json();
-            if (data && data.data && Array.isArray(data.data.translations)) {
-              results = data.data.translations.map(t => t.translatedText || '');
-            }
-          }
+      // glossary terms are masked for every provider and restored in the output
+      const masks = toTranslate.map(it => maskGlossaryTerms(it.text, target));
+      const results = await translateWithChain(masks.map(m => m.masked), target, source);
+      toTranslate.forEach((it, i) => {
+        const providerId = results[i].providerId;
+        const translated = unmaskGlossaryTerms(results[i].translated, masks[i].restore);
+        it.translated = translated;
+        it.providerId = providerId;
+        if (translated) {
+          // cache under the prefix of the provider that actually answered
+          cachePut(cacheKeyFor(providerId, it.text, target), translated);
+          Object.assign(it, { status: 'translated', reason: '' });
         } else {
-          // Public translate_a endpoint: multiple q params and single tl
-          const base = 'https://translate.googleapis.com/translate_a/single?client=gtx&sl=auto&dt=t&tl=' + encodeURIComponent(target);
-          const qs = toTranslate.map(t => '&q=' + encodeURIComponent(t)).join('');
-          const url = base + qs;
-          const resp = await fetch(url, { method: 'GET' });
-          if (resp.ok) {
-            const data = await resp.json();
-            // data[0] should be an array of per-input arrays when multiple q provided
-            if (Array.isArray(data) && Array.isArray(data[0])) {
-              // If data[0][i] exists and is array of segments
-              if (Array.isArray(data[0][0]) && data[0].length === toTranslate.length) {
-                results = data[0].map(segArr => segArr.map(p => p[0]).join(''));
-              } else {
-                // Fallback: join first-level segments
-                results = [data[0].map(p => p[0]).join('')];
-              }
-            }
-          }
+          Object.assign(it, describeFailure(results[i].failure));
+          recordFailure(it.text, target, it.status, it.reason);
         }
-      } catch (e) {
-        // network error: leave results empty
-      }
+      });
     }
 
-    // Assign translations to caches and resolve resolvers
-    // For items that were not translated (missing in results), resolve with empty string
-    for (let i = 0; i < unique.length; i++) {
-      const key = unique[i].key;
-      let translated = '';
-      const idx = translateIndex.indexOf(key);
-      if (idx >= 0 && results[idx] !== undefined) translated = results[idx];
-      // If translation was not in results but in-memory cache exists, use it
-      if (!translated && _inMemoryCache.has(key)) {
-        try { translated = await Promise.resolve(_inMemoryCache.get(key)); } catch (e) { translated = ''; }
-      }
-      // set caches
-      if (translated) {
-        _inMemoryCache.set(key, Promise.resolve(translated));
-        try { _persistentCache[key] = { v: translated, t: now }; } catch (e) {}
-      }
-      // resolve all resolvers for this key (find original entry in items)
-      for (const it of items) {
-        if (it.key === key) {
-          for (const r of it.resolvers) {
-            try { r(translated); } catch (e) {}
-          }
-        }
+    // Resolve all resolvers; items that were not translated resolve with an empty string
+    for (const it of items) {
+      const reply = { translated: it.translated || '', providerId: it.translated ? it.providerId : null, status: it.status, reason: it.reason };
+      for (const r of it.resolvers) {
+        try { r.resolve(reply); } catch (e) {}
       }
+      _inFlight.delete(it.key);
     }
-
-    // Save persistent cache (debounced)
-    scheduleSavePersistentCache();
+    // new translations go to IndexedDB now rather than after the usual delay, which a stopped
+    // background might not live to see
+    await flushCacheWrites();
+    await savePendingState();
   }
 
 }
 
-async function openPage() {
-    browser.tabs.create({
-        url: 'option.html'
+// Cache entries for the inspector on the options page, most recently used first.
+// `search` matches the original and the translation, ignoring case; `target` and
+// `provider` filter exactly. Returns { entries, total, targets, providers }.
+function queryCache({ search, target, provider, limit }) {
+  const needle = (search || '').toLowerCase();
+  const targets = new Set();
+  const providers = new Set();
+  const matches = [];
+  for (const entry of cacheList().reverse()) {
+    const parsed = parseCacheKey(entry.key);
+    if (!parsed) continue;
+    const providerId = providerIdForPrefix(parsed.prefix);
+    targets.add(parsed.target);
+    if (providerId) providers.add(providerId);
+    if (target && parsed.target !== target) continue;
+    if (provider && providerId !== provider) continue;
+    if (needle && !parsed.text.toLowerCase().includes(needle) && !entry.value.toLowerCase().includes(needle)) continue;
+    matches.push({
+      key: entry.key,
+      text: parsed.text,
+      target: parsed.target,
+      translated: entry.value,
+      provider: providerId,
+      providerLabel: providerLabel(providerId),
+      created: entry.created,
+      accessed: entry.accessed,
+      pinned: !!entry.pinned
     });
+  }
+  return {
+    entries: matches.slice(0, limit || 200),
+    total: matches.length,
+    targets: Array.from(targets).sort(),
+    providers: Array.from(providers).map(id => ({ id, label: providerLabel(id) }))
+  };
+}
+
+// Replace a cached translation by hand. The correction is pinned under the manual prefix
+// and the provider's entry it replaces is dropped.
+function correctCachedTranslation(key, value) {
+  const parsed = parseCacheKey(key || '');
+  const translated = (value || '').trim();
+  if (!parsed || !translated) return { ok: false };
+  const manualKey = manualCacheKey(parsed.text, parsed.target);
+  cachePin(manualKey, translated);
+  if (key !== manualKey) cacheDelete(key);
+  return { ok: true, key: manualKey };
+}
+
+// Request ids are chosen by each content script, so they are only unique per tab
+function scopedRequestId(requestId, sender) {
+  if (!requestId) return null;
+  return (sender && sender.tab ? sender.tab.id : 'ext') + ':' + requestId;
 }
 
 browser.runtime.onMessage.addListener((msg, sender) => {
   if (!msg || !msg.type) return;
   if (msg.type === 'translate') {
-    return doTranslate(msg.text, msg.target).then(translated => ({ translated }));
+    return doTranslate(msg.text, msg.target, msg.source, { force: !!msg.force, requestId: scopedRequestId(msg.requestId, sender) }).then(res => {
+      return { translated: res.translated, provider: res.providerId, providerLabel: providerLabel(res.providerId), status: res.status, reason: res.reason };
+    });
+  }
+  if (msg.type === 'cancelTranslate') {
+    const ids = (msg.requestIds || []).map(id => scopedRequestId(id, sender));
+    return Promise.resolve({ cancelled: cancelTranslationRequests(ids) });
   }
   if (msg.type === 'clearCache') {
-    _inMemoryCache = new Map();
-    _persistentCache = {};
-    return browser.storage.local.remove('translationCache').then(() => ({ ok: true }));
+    return _ready.then(cacheClear).then(() => ({ ok: true }));
   }
   if (msg.type === 'purgeExpired') {
-    // purge expired entries according to current TTL
-    const now = Date.now();
-    const ttlMs = CACHE_TTL_DAYS * 24 * 60 * 60 * 1000;
-    let removed = 0;
-    for (const k of Object.keys(_persistentCache)) {
-      const entry = _persistentCache[k];
-      const ts = (entry && entry.t) ? entry.t : now;
-      if (CACHE_TTL_DAYS > 0 && (now - ts) > ttlMs) { delete _persistentCache[k]; removed++; }
-    }
-    // persist
-    return browser.storage.local.set({ translationCache: _persistentCache }).then(() => ({ removed }));
+    return _ready.then(cachePurgeExpired).then(removed => ({ removed }));
   }
-});
-
-browser.storage.onChanged.addListener((changes, area) => {
-  if (area !== 'local') return;
-  let reload = false;
-  if (changes.translationCache) {
-    reload = true;
+  if (msg.type === 'cacheStats') {
+    return _ready.then(cacheStats);
   }
-  if (changes.cacheMaxEntries) {
-    const v = changes.cacheMaxEntries.newValue;
-    if (typeof v === 'number') MAX_PERSIST_ENTRIES = v;
+  if (msg.type === 'cacheQuery') {
+    return _ready.then(() => queryCache(msg));
   }
-  if (changes.cacheTTLDays) {
-    const v = changes.cacheTTLDays.newValue;
-    if (typeof v === 'number') CACHE_TTL_DAYS = v;
-  }
-  if (changes.useCloudTranslate) {
-    USE_CLOUD = !!changes.useCloudTranslate.newValue;
+  if (msg.type === 'cacheDelete') {
+    return _ready.then(() => {
+      cacheDelete(msg.key);
+      return { ok: true };
+    });
   }
-  if (changes.googleApiKey) {
-    GOOGLE_API_KEY = changes.googleApiKey.newValue || '';
+  if (msg.type === 'cacheCorrect') {
+    return _ready.then(() => correctCachedTranslation(msg.key, msg.value));
   }
-  if (reload) {
-    // reload persistent cache
-    loadSettingsAndCache();
+});
+
+// Context menu entries for selected text on X pages
+const X_PAGE_PATTERNS = ['https://twitter.com/*', 'https://*.twitter.com/*', 'https://x.com/*', 'https://*.x.com/*'];
+
+function createMenus() {
+  browser.menus.create({ id: 'xhebrew-translate-selection', title: 'Translate selection with xhebrew', contexts: ['selection'], documentUrlPatterns: X_PAGE_PATTERNS });
+  browser.menus.create({ id: 'xhebrew-add-mapping', title: 'Add selection as mapping…', contexts: ['selection'], documentUrlPatterns: X_PAGE_PATTERNS });
+}
+
+browser.runtime.onInstalled.addListener(createMenus);
+
+browser.menus.onClicked.addListener((info, tab) => {
+  const text = (info.selectionText || '').trim();
+  if (!text) return;
+  if (info.menuItemId === 'xhebrew-translate-selection' && tab) {
+    // the content script translates through the usual 'translate' message and shows a tooltip
+    browser.tabs.sendMessage(tab.id, { type: 'xhebrewTranslateSelection', text }).catch(() => {});
+  } else if (info.menuItemId === 'xhebrew-add-mapping') {
+    // the options page opens with a new rule for this text, ready to be completed and saved
+    browser.tabs.create({ url: browser.runtime.getURL('options.html') + '?find=' + encodeURIComponent(text) });
   }
 });
 
-browser.browserAction.onClicked.addListener(() => {
-    openPage();
+// Firefox announces that the event page is about to stop; write what the cache still holds back
+if (browser.runtime.onSuspend) {
+  browser.runtime.onSuspend.addListener(() => {
+    flushCacheWrites();
+  });
+}
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync') {
+    // another browser may have changed the profile this one follows
+    XHebrewSettings.applyProfileChanges(changes).catch(e => console.error('Failed to apply the synced profile', e));
+    return;
+  }
+  if (area !== 'local') return;
+  const providerChanged = PROVIDER_SETTING_KEYS.some(k => changes[k]);
+  if (!providerChanged && !['cacheMaxEntries', 'cacheMaxBytes', 'cacheTTLDays', 'providerChain', 'glossary'].some(k => changes[k])) return;
+  // read back through the validation like at startup, so a bad value (from a synced profile, say)
+  // falls back to its default instead of reaching the providers
+  XHebrewSettings.loadSettings().then(settings => {
+    applySettings(settings);
+    if (providerChanged) {
+      // a changed endpoint or key deserves a fresh start
+      _providerGuards.clear();
+      _recentFailures.clear();
+    }
+  }).catch(e => console.error('Failed to reload the settings', e));
 });
 
 // ...existing code...
@@ -284,5 +492,6 @@ browser.runtime.onMessage.addListener((msg, sender) => {
   console.log('background received message', msg && msg.type, 'from tab', sender && sender.tab && sender.tab.id);
   // ...existing code...
 });
-// Initial load
-loadSettingsAndCache();
\ No newline at end of file
+// Initial load; translate requests wait for the cache to be read. This runs again whenever a
+// stopped background is started, and picks up the batches it left unfinished.
+const _ready = loadSettingsAndCache().then(restorePendingState);
@@ -0,0 +1,136 @@
+// Loads the content script (xhebrew.js and the shared modules it needs) into a DOM built with
+// linkedom and checks that a tweet translated in place is translated once: the observer sees
+// our own write, mappings then rewrite the translation, and neither may send it off again. The
+// bidi isolates mappings add must not reach the translator either.
+//
+//   npm install --no-save linkedom
+//   node bench/content-check.js
+//
+// Exits with code 1 when a check fails.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+let parseHTML;
+try {
+  ({ parseHTML } = require('linkedom'));
+} catch (e) {
+  console.error('This check needs linkedom: npm install --no-save linkedom');
+  process.exit(1);
+}
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_SCRIPTS = ['settings.js', 'engine.js', 'detect.js', 'transliterate.js', 'selectors.js', 'regions.js', 'xhebrew.js'];
+const SETTLE_MS = 1500;
+
+let failures = 0;
+
+function check(label, ok, detail) {
+  console.log((ok ? 'ok     ' : 'FAILED ') + label + (detail ? ' (' + detail + ')' : ''));
+  if (!ok) failures++;
+}
+
+const HEBREW_TEXT = 'שלום לכולם, מה שלומכם היום?';
+
+function tweet(text) {
+  return `<article role="article">
+  <div data-testid="User-Name"><a href="/someone"><span>Someone</span></a><span>@someone</span></div>
+  <div data-testid="tweetText" dir="auto"><span>${text}</span></div>
+  <a href="/someone/status/1"><time>now</time></a>
+</article>`;
+}
+
+// Runs the content script over one tweet with the given stored settings and translator.
+// Resolves to { requests, sent, text } once the page has been quiet for SETTLE_MS.
+async function runTweet(stored, translate, text = HEBREW_TEXT) {
+  const { window, document } = parseHTML('<html><body>' + tweet(text) + '</body></html>');
+  let requests = 0;
+  const sent = [];
+  // every observed text is reported as on screen
+  class ViewportObserver {
+    constructor(callback) { this.callback = callback; }
+    observe(target) {
+      setTimeout(() => this.callback([{ target, isIntersecting: true, boundingClientRect: { top: 0, bottom: 10 } }]), 0);
+    }
+    unobserve() {}
+    disconnect() {}
+  }
+  const browser = {
+    storage: {
+      local: { get: async () => JSON.parse(JSON.stringify(stored)), set: async () => {} },
+      onChanged: { addListener() {} }
+    },
+    runtime: {
+      onMessage: { addListener() {} },
+      sendMessage: async (msg) => {
+        if (msg.type !== 'translate') return {};
+        requests++;
+        sent.push(msg.text);
+        if (requests > 20) return { translated: '', status: 'failed', reason: 'too many requests' };
+        return { translated: translate(msg.text), providerLabel: 'mock', status: 'translated', reason: '' };
+      }
+    }
+  };
+  const context = {
+    window, document, browser, location: { href: 'https://x.com/home' },
+    Node: window.Node,
+    NodeFilter: { SHOW_TEXT: 4, FILTER_ACCEPT: 1, FILTER_REJECT: 2 },
+    MutationObserver: window.MutationObserver,
+    IntersectionObserver: ViewportObserver,
+    console: { log() {}, error: console.error },
+    setTimeout, clearTimeout
+  };
+  window.innerHeight = 800;
+  context.globalThis = context;
+  vm.createContext(context);
+  for (const file of CONTENT_SCRIPTS) vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  let last = -1;
+  while (last !== requests) {
+    last = requests;
+    await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+  }
+  return { requests, sent, text: document.querySelector('[data-testid="tweetText"]').textContent };
+}
+
+async function checkMappedTranslation() {
+  // the default hello → שלום mapping turns the translation partly Hebrew again
+  const { requests, text } = await runTweet({ translateEnabled: true, translateReplace: true }, () => 'hello hello, hello to you');
+  check('replace: mapped translation is not sent again', requests === 1, requests + ' requests, shows "' + text + '"');
+}
+
+async function checkAlwaysAuthor() {
+  // an "always" author skips the language detection; a growing output never settles
+  const stored = { translateEnabled: true, translateReplace: true, authorPolicies: { someone: { translate: 'always' } } };
+  const { requests } = await runTweet(stored, source => 'en: ' + source);
+  check('replace: always-translate author translated once', requests === 1, requests + ' requests');
+}
+
+async function checkIsolatesNotSent() {
+  // the mapping wraps שלום in bidi isolates in this English tweet; the translator gets it without them
+  const stored = { translateEnabled: true, authorPolicies: { someone: { translate: 'always' } } };
+  const { sent } = await runTweet(stored, source => 'en: ' + source, 'hello and good morning, friends');
+  check('isolates of mapped text are not sent for translation', sent.length > 0 && sent.every(t => !/[\u2068\u2069]/.test(t)),
+    JSON.stringify(sent));
+}
+
+async function checkAuthorGroups() {
+  // an author limited to no mapping groups keeps every word of their tweet
+  const stored = { authorPolicies: { someone: { groups: [] } } };
+  const { text } = await runTweet(stored, source => source, 'hello and good morning, friends');
+  check('author policy: mappings limited to the allowed groups', text === 'hello and good morning, friends', 'shows "' + text + '"');
+}
+
+async function main() {
+  await checkMappedTranslation();
+  await checkAlwaysAuthor();
+  await checkIsolatesNotSent();
+  await checkAuthorGroups();
+  if (failures) {
+    console.error(failures + ' check(s) failed');
+    process.exitCode = 1;
+  }
+}
+
+main();
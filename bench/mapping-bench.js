@@ -0,0 +1,97 @@
+// Benchmark: per-node mapping application, legacy (makeMatcher per rule per node) vs the
+// compiled single-pass engine in engine.js, over the fixture timeline.
+//
+//   node bench/mapping-bench.js [ruleCount] [passes]
+//
+// Each pass re-processes every text node of the timeline, the way the MutationObserver
+// re-walks tweets while scrolling. Rules are generated deterministically so runs are comparable.
+'use strict';
+
+const path = require('path');
+const { compileMappings, applyCompiled, makeMatcher } = require('../engine.js');
+const timeline = require('./fixtures/timeline.json');
+
+const RULE_COUNT = Number(process.argv[2]) || 500;
+const PASSES = Number(process.argv[3]) || 200;
+
+// The replaceInTextNode loop as it was before the engine was compiled
+function legacyReplace(text, mappings) {
+  let newText = text;
+  for (const m of mappings) {
+    if (!m || !m.find) continue;
+    const matcher = makeMatcher(m.find);
+    const replacement = m.replace ?? '';
+    if (!matcher) continue;
+    if (matcher.literal !== undefined) {
+      if (matcher.literal === '') continue;
+      newText = newText.split(matcher.literal).join(replacement);
+    } else {
+      newText = newText.replace(matcher, replacement);
+    }
+  }
+  return newText;
+}
+
+// Rules: words taken from the timeline (so some rules do match) padded with synthetic terms,
+// plus a few regexes. No find is a substring of another and no replacement contains a find,
+// so the legacy sequential passes and the single pass must produce identical output.
+function buildMappings(count) {
+  const words = new Set();
+  for (const tweet of timeline) {
+    for (const w of tweet.split(/[^\p{L}]+/u)) if (w.length >= 4) words.add(w);
+  }
+  const vocab = Array.from(words).filter(w => !Array.from(words).some(o => o !== w && o.includes(w)));
+  const mappings = [
+    { find: '/\\d{4}-\\d{2}-\\d{2}/g', replace: '<date>' },
+    { find: '/(\\d{2}):(\\d{2})/g', replace: '$1h$2' },
+    { find: '/#(\\d+)/g', replace: 'no. $1' }
+  ];
+  for (let i = 0; mappings.length < count; i++) {
+    const find = i < vocab.length && i % 3 === 0 ? vocab[i] : 'zq' + String(i).padStart(4, '0') + 'x';
+    mappings.push({ find, replace: '[R' + i + ']' });
+  }
+  return mappings;
+}
+
+function textNodes() {
+  // one text node per line, like the spans inside [data-testid="tweetText"]
+  const nodes = [];
+  for (const tweet of timeline) nodes.push(...tweet.split('\n'));
+  return nodes;
+}
+
+function time(label, fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(label.padEnd(12) + ms.toFixed(1).padStart(10) + ' ms');
+  return { ms, result };
+}
+
+function main() {
+  const mappings = buildMappings(RULE_COUNT);
+  const nodes = textNodes();
+  console.log(`${path.basename(__filename)}: ${mappings.length} rules, ${nodes.length} text nodes, ${PASSES} passes`);
+
+  const legacy = time('legacy', () => {
+    let out;
+    for (let p = 0; p < PASSES; p++) out = nodes.map(n => legacyReplace(n, mappings));
+    return out;
+  });
+  const compiled = time('compiled', () => {
+    // compiled once per config load, as in the content script
+    const engine = compileMappings(mappings);
+    let out;
+    for (let p = 0; p < PASSES; p++) out = nodes.map(n => applyCompiled(engine, n));
+    return out;
+  });
+
+  const mismatches = legacy.result.filter((t, i) => t !== compiled.result[i]).length;
+  console.log('speedup'.padEnd(12) + (legacy.ms / compiled.ms).toFixed(1).padStart(10) + ' x');
+  if (mismatches) {
+    console.error(`${mismatches} text nodes differ between legacy and compiled output`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,105 @@
+// A local translation endpoint that misbehaves on purpose, for exercising ratelimit.js.
+//
+//   node bench/mock-translate-server.js [port] [--throttle] [--fail=N]
+//
+// It speaks the shape of the "Custom HTTP/JSON endpoint" provider with its default settings:
+// POST /translate with { q: [...], source, target } or GET /translate?q=..&q=..&target=..,
+// answering { translations: [...] } where each translation is "<target>:<text>". So it can
+// also be used from the extension by pointing that provider at http://localhost:<port>/translate.
+//
+// Options (also settable from the command line):
+//   rate      - { perSecond, burst }: beyond that it answers 429 with Retry-After: retryAfter
+//   failFirst - answer the first N requests with 503
+//   failAll   - answer every request with 503
+//   maxItems, maxUrl, maxBody - larger requests get 413 (too many texts / body) or 414 (URL)
+'use strict';
+
+const http = require('http');
+
+const DEFAULTS = { rate: null, retryAfter: 1, failFirst: 0, failAll: false, maxItems: 50, maxUrl: 2000, maxBody: 10000 };
+
+function createMockServer(options) {
+  const opts = Object.assign({}, DEFAULTS, options);
+  // every request as { method, items, urlLength, bodyLength, status, time }
+  const log = [];
+  let tokens = opts.rate ? opts.rate.burst : Infinity;
+  let updated = Date.now();
+
+  function throttled() {
+    if (!opts.rate) return false;
+    const now = Date.now();
+    tokens = Math.min(opts.rate.burst, tokens + (now - updated) / 1000 * opts.rate.perSecond);
+    updated = now;
+    if (tokens < 1) return true;
+    tokens -= 1;
+    return false;
+  }
+
+  function answer(res, entry, status, body, headers) {
+    entry.status = status;
+    log.push(entry);
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+    res.end(JSON.stringify(body));
+  }
+
+  function handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const entry = { method: req.method, items: 0, urlLength: req.url.length, bodyLength: body.length, status: 0, time: Date.now() };
+    if (url.pathname !== '/translate') return answer(res, entry, 404, { error: 'not found' });
+    let texts;
+    let target;
+    if (req.method === 'GET') {
+      texts = url.searchParams.getAll('q');
+      target = url.searchParams.get('target');
+    } else {
+      try {
+        const data = JSON.parse(body);
+        texts = Array.isArray(data.q) ? data.q : [data.q];
+        target = data.target;
+      } catch (e) {
+        return answer(res, entry, 400, { error: 'bad json' });
+      }
+    }
+    entry.items = texts.length;
+    const seen = log.length;
+    if (req.url.length > opts.maxUrl) return answer(res, entry, 414, { error: 'url too long' });
+    if (texts.length > opts.maxItems || body.length > opts.maxBody) return answer(res, entry, 413, { error: 'too large' });
+    if (opts.failAll || seen < opts.failFirst) return answer(res, entry, 503, { error: 'unavailable' });
+    if (throttled()) return answer(res, entry, 429, { error: 'slow down' }, { 'Retry-After': String(opts.retryAfter) });
+    answer(res, entry, 200, { translations: texts.map(t => target + ':' + t) });
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handle(req, res, body));
+  });
+
+  return {
+    log,
+    options: opts,
+    // resolves to the base URL, e.g. http://127.0.0.1:40123
+    listen(port) {
+      return new Promise(resolve => {
+        server.listen(port || 0, '127.0.0.1', () => resolve('http://127.0.0.1:' + server.address().port));
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { createMockServer };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const port = Number(args.find(a => /^\d+$/.test(a))) || 8787;
+  const fail = args.find(a => a.startsWith('--fail='));
+  const mock = createMockServer({
+    rate: args.includes('--throttle') ? { perSecond: 1, burst: 3 } : null,
+    failFirst: fail ? Number(fail.slice('--fail='.length)) : 0
+  });
+  mock.listen(port).then(base => console.log('mock translate endpoint on ' + base + '/translate'));
+}
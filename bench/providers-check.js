@@ -0,0 +1,84 @@
+// Runs the translation providers of providers.js against a stubbed fetch and checks how they
+// read the answers, including the shapes the public Google endpoint answers a batch with.
+//
+//   node bench/providers-check.js
+//
+// Exits with code 1 when a check fails.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+let failures = 0;
+
+function check(label, ok, detail) {
+  console.log((ok ? 'ok     ' : 'FAILED ') + label + (detail ? ' (' + detail + ')' : ''));
+  if (!ok) failures++;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A fresh copy of providers.js whose fetch is answer(url) -> the JSON to answer with.
+// Returns { getProvider, requests } where requests lists the texts (q) of every request.
+function loadProviders(answer) {
+  const requests = [];
+  const fetch = async url => {
+    const texts = new URL(url).searchParams.getAll('q');
+    requests.push(texts);
+    const body = answer(texts);
+    return { ok: true, status: 200, headers: { get: () => null }, json: async () => body, text: async () => JSON.stringify(body) };
+  };
+  const context = {
+    XHebrewSettings: require('../settings.js'),
+    XHebrewRateLimit: require('../ratelimit.js'),
+    fetch, URL, URLSearchParams
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'providers.js'), 'utf8'), context, { filename: 'providers.js' });
+  return { getProvider: context.getProvider, requests };
+}
+
+// The public endpoint's answers: one text is its list of [translation, source] segments,
+// a batch a list of those per text
+const segments = text => [['en:' + text, text]];
+const perText = texts => [texts.map(segments)];
+const joined = texts => [[].concat(...texts.map(segments))];
+
+async function checkPublicPerText() {
+  const { getProvider, requests } = loadProviders(texts => (texts.length === 1 ? [segments(texts[0])] : perText(texts)));
+  const provider = getProvider('google-public');
+  const out = await provider.translate(['א', 'ב', 'ג'], 'en', {}, 'auto');
+  check('google-public: batch answered per text', same(out, ['en:א', 'en:ב', 'en:ג']), JSON.stringify(out));
+  check('google-public: one request for the batch', requests.length === 1, requests.length + ' requests');
+  check('google-public: keeps batching', provider.limits().maxItems > 1);
+}
+
+async function checkPublicJoined() {
+  const { getProvider, requests } = loadProviders(texts => (texts.length === 1 ? [segments(texts[0])] : joined(texts)));
+  const provider = getProvider('google-public');
+  const out = await provider.translate(['א', 'ב', 'ג'], 'en', {}, 'auto');
+  check('google-public: joined batch asked again per text', same(out, ['en:א', 'en:ב', 'en:ג']), JSON.stringify(out));
+  check('google-public: one request per text after the batch', same(requests, [['א', 'ב', 'ג'], ['א'], ['ב'], ['ג']]), JSON.stringify(requests));
+  check('google-public: no more batches after that', provider.limits().maxItems === 1);
+}
+
+async function checkPublicSingle() {
+  const { getProvider } = loadProviders(texts => [segments(texts[0]).concat([[' more', ' עוד']])]);
+  const out = await getProvider('google-public').translate(['א'], 'en', {}, 'auto');
+  check('google-public: segments of one text joined', same(out, ['en:א more']), JSON.stringify(out));
+}
+
+async function main() {
+  await checkPublicPerText();
+  await checkPublicJoined();
+  await checkPublicSingle();
+  if (failures) {
+    console.error(failures + ' check(s) failed');
+    process.exitCode = 1;
+  }
+}
+
+main();
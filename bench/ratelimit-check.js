@@ -0,0 +1,144 @@
+// Runs the request shaping in ratelimit.js against the local mock server and checks that it
+// chunks, waits out throttling, retries and stops when the circuit breaker opens.
+//
+//   node bench/ratelimit-check.js
+//
+// Exits with code 1 when a check fails. Takes a few seconds because Retry-After waits are real.
+'use strict';
+
+const { createProviderGuard, chunkTexts, HttpError, NetworkError, CircuitOpenError, parseRetryAfter } = require('../ratelimit.js');
+const { createMockServer } = require('./mock-translate-server.js');
+
+// Same limits and measure as the background script uses for GET providers
+const GET_LIMITS = { maxItems: 50, maxChars: 1800, encoded: true };
+const measure = t => encodeURIComponent(t).length + 3;
+const FAST_RETRY = { retries: 4, baseDelayMs: 50, maxDelayMs: 2000 };
+
+let failures = 0;
+
+function check(label, ok, detail) {
+  console.log((ok ? 'ok     ' : 'FAILED ') + label + (detail ? ' (' + detail + ')' : ''));
+  if (!ok) failures++;
+}
+
+// A GET client shaped like httpJsonProvider
+function getClient(base) {
+  return async texts => {
+    const params = new URLSearchParams();
+    for (const q of texts) params.append('q', q);
+    params.append('target', 'en');
+    let resp;
+    try {
+      resp = await fetch(base + '/translate?' + params.toString());
+    } catch (e) {
+      throw new NetworkError(e);
+    }
+    if (!resp.ok) throw new HttpError(resp.status, parseRetryAfter(resp.headers.get('Retry-After')));
+    return (await resp.json()).translations;
+  };
+}
+
+function sampleTexts(count) {
+  const texts = [];
+  for (let i = 0; i < count; i++) texts.push('שלום עולם ' + i + ' ' + 'טקסט '.repeat(i % 7));
+  return texts;
+}
+
+async function withServer(options, fn) {
+  const mock = createMockServer(options);
+  const base = await mock.listen();
+  try {
+    await fn(mock, base);
+  } finally {
+    await mock.close();
+  }
+}
+
+async function checkChunking() {
+  await withServer({}, async (mock, base) => {
+    const texts = sampleTexts(180);
+    const guard = createProviderGuard({ rate: { perSecond: 100, burst: 100 }, retry: FAST_RETRY });
+    const { results: out } = await guard.run(texts, getClient(base), { limits: GET_LIMITS, measure });
+    check('chunking: every text translated', out.every((t, i) => t === 'en:' + texts[i]));
+    check('chunking: no request over the limits', mock.log.every(r => r.status === 200),
+      mock.log.length + ' requests, longest URL ' + Math.max(...mock.log.map(r => r.urlLength)));
+    check('chunking: chunk count matches chunkTexts', mock.log.length === chunkTexts(texts, GET_LIMITS, measure).length);
+  });
+}
+
+async function checkRetryAfter() {
+  await withServer({ rate: { perSecond: 1, burst: 2 }, retryAfter: 1 }, async (mock, base) => {
+    const texts = sampleTexts(6);
+    // one text per request so the client outruns the server's bucket
+    const guard = createProviderGuard({ rate: { perSecond: 50, burst: 50 }, retry: FAST_RETRY });
+    const { results: out } = await guard.run(texts, getClient(base), { limits: { maxItems: 1 } });
+    check('throttling: every text translated', out.every((t, i) => t === 'en:' + texts[i]));
+    const throttled = mock.log.filter(r => r.status === 429);
+    check('throttling: server did throttle', throttled.length > 0, throttled.length + ' x 429');
+    const waits = throttled.map(r => {
+      const next = mock.log[mock.log.indexOf(r) + 1];
+      return next ? next.time - r.time : Infinity;
+    });
+    check('throttling: Retry-After respected', waits.every(w => w >= 950), 'shortest wait ' + Math.min(...waits) + ' ms');
+  });
+}
+
+async function checkServerErrors() {
+  await withServer({ failFirst: 2 }, async (mock, base) => {
+    const texts = sampleTexts(3);
+    const guard = createProviderGuard({ retry: FAST_RETRY });
+    const { results: out } = await guard.run(texts, getClient(base));
+    check('5xx: retried until success', out.every((t, i) => t === 'en:' + texts[i]), mock.log.map(r => r.status).join(' '));
+    check('5xx: breaker closed again', guard.breaker.state === 'closed');
+  });
+}
+
+async function checkCircuitBreaker() {
+  await withServer({ failAll: true }, async (mock, base) => {
+    const guard = createProviderGuard({ retry: FAST_RETRY, breaker: { failureThreshold: 3, cooldownMs: 60000 } });
+    let out = await guard.run(sampleTexts(2), getClient(base));
+    check('breaker: opens after repeated 503s', guard.breaker.state === 'open', mock.log.length + ' requests');
+    check('breaker: failed texts carry the error', out.errors.every(e => e && e.status === 503), out.errors[0] && out.errors[0].message);
+    const sent = mock.log.length;
+    out = await guard.run(sampleTexts(2), getClient(base));
+    check('breaker: no requests while open', mock.log.length === sent && out.errors.every(e => e instanceof CircuitOpenError), out.errors[0] && out.errors[0].message);
+  });
+}
+
+async function checkUnreadableAnswer() {
+  // an answer that cannot be read is not retried and says nothing about the provider's health
+  const guard = createProviderGuard({ retry: FAST_RETRY, breaker: { failureThreshold: 3 } });
+  let calls = 0;
+  const out = await guard.run(['שלום'], async () => { calls++; throw new Error('Unexpected response'); });
+  check('plain error: not retried', calls === 1, calls + ' calls');
+  check('plain error: breaker stays closed', guard.breaker.state === 'closed');
+  check('plain error: the text carries the error', out.errors[0] && out.errors[0].message === 'Unexpected response');
+  for (let i = 0; i < 3; i++) await guard.run(['שלום'], async () => { throw new SyntaxError('Unexpected token'); });
+  check('plain error: repeated ones do not open the breaker', guard.breaker.state === 'closed');
+}
+
+async function checkNetworkErrors() {
+  // nothing listens on the port of a closed server
+  const mock = createMockServer({});
+  const base = await mock.listen();
+  await mock.close();
+  const guard = createProviderGuard({ retry: FAST_RETRY, breaker: { failureThreshold: 3, cooldownMs: 60000 } });
+  const out = await guard.run(['שלום'], getClient(base));
+  check('network: no answer is a NetworkError', out.errors[0] instanceof NetworkError, out.errors[0] && out.errors[0].message);
+  check('network: retried until the breaker opened', guard.breaker.state === 'open');
+}
+
+async function main() {
+  await checkChunking();
+  await checkRetryAfter();
+  await checkServerErrors();
+  await checkCircuitBreaker();
+  await checkUnreadableAnswer();
+  await checkNetworkErrors();
+  if (failures) {
+    console.error(failures + ' check(s) failed');
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,172 @@
+// Runs settings.js against an in-memory browser.storage and checks the migrations, the
+// validation of stored and saved values, the reset and the profiles synced through storage.sync,
+// including one too large for it.
+//
+//   node bench/settings-check.js
+//
+// Exits with code 1 when a check fails.
+'use strict';
+
+const Settings = require('../settings.js');
+const { normalizeRule, compactRule } = require('../engine.js');
+
+let failures = 0;
+
+function check(label, ok, detail) {
+  console.log((ok ? 'ok     ' : 'FAILED ') + label + (detail ? ' (' + detail + ')' : ''));
+  if (!ok) failures++;
+}
+
+// A storage area: get takes a key, a list of keys or nothing, like browser.storage.*.get.
+// With quotaBytes, set fails as Chromium's does once the JSON of all items would be larger.
+function createArea(initial, quotaBytes) {
+  const items = JSON.parse(JSON.stringify(initial || {}));
+  return {
+    items,
+    async get(keys) {
+      const names = keys === undefined || keys === null ? Object.keys(items) : [].concat(keys);
+      const result = {};
+      for (const k of names) if (k in items) result[k] = JSON.parse(JSON.stringify(items[k]));
+      return result;
+    },
+    async set(values) {
+      if (quotaBytes && JSON.stringify(Object.assign({}, items, values)).length > quotaBytes) throw new Error('QUOTA_BYTES quota exceeded');
+      Object.assign(items, JSON.parse(JSON.stringify(values)));
+    },
+    async remove(keys) {
+      for (const k of [].concat(keys)) delete items[k];
+    }
+  };
+}
+
+// Installs a fresh browser.storage with the given storage.local contents
+function useStorage(local, sync, syncQuotaBytes) {
+  global.browser = { storage: { local: createArea(local), sync: createArea(sync, syncQuotaBytes) } };
+  return global.browser.storage;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function checkMigrate() {
+  const on = Settings.migrate({ useCloudTranslate: true });
+  check('migrate: Cloud Translate checkbox becomes a provider chain', same(on.providerChain, ['google-cloud', 'google-public']), JSON.stringify(on.providerChain));
+  check('migrate: obsolete key dropped, version set', !('useCloudTranslate' in on) && on.settingsVersion === Settings.SCHEMA_VERSION);
+  const off = Settings.migrate({ useCloudTranslate: false });
+  check('migrate: checkbox off gives the default chain', same(off.providerChain, Settings.DEFAULTS.providerChain), JSON.stringify(off.providerChain));
+  const kept = Settings.migrate({ useCloudTranslate: true, providerChain: ['libre'] });
+  check('migrate: an existing chain wins over the checkbox', same(kept.providerChain, ['libre']), JSON.stringify(kept.providerChain));
+  check('migrate: running it again changes nothing', same(Settings.migrate(on), on));
+  const newer = Settings.migrate({ settingsVersion: Settings.SCHEMA_VERSION + 1, useCloudTranslate: true });
+  check('migrate: a newer version is left as it is', newer.settingsVersion === Settings.SCHEMA_VERSION + 1 && !newer.providerChain);
+}
+
+function checkValidate() {
+  const { settings, problems } = Settings.validateSettings({
+    cacheTTLDays: -1, detectMinRatio: 2, httpMethod: 'PUT', mappings: [], mappingAttributes: ['href'],
+    translateTarget: ' ', translateEnabled: 'yes', cacheMaxEntries: 50, unknownKey: 1
+  });
+  const dropped = ['cacheTTLDays', 'detectMinRatio', 'httpMethod', 'mappings', 'mappingAttributes', 'translateTarget', 'translateEnabled'];
+  check('validate: out of range values reported', same(problems.slice().sort(), dropped.slice().sort()), problems.join(', '));
+  check('validate: dropped values get their defaults', dropped.every(k => same(settings[k], Settings.DEFAULTS[k])));
+  check('validate: valid values kept', settings.cacheMaxEntries === 50);
+  check('validate: unknown keys left out', !('unknownKey' in settings));
+  check('validate: every setting present', Settings.SETTING_KEYS.every(k => k in settings));
+  const rules = [{ find: 'a', replace: 'b' }, null, { replace: 'no find' }, { find: 'c', replace: 3 }, { find: 'd' }];
+  const mixed = Settings.validateSettings({ mappings: rules });
+  check('validate: only the broken rules dropped', same(mixed.settings.mappings, [{ find: 'a', replace: 'b' }, { find: 'd' }]) && !mixed.problems.includes('mappings'),
+    JSON.stringify(mixed.settings.mappings));
+  const broken = Settings.validateSettings({ mappings: [null, { find: '' }] });
+  check('validate: defaults when no rule is usable', same(broken.settings.mappings, Settings.DEFAULT_MAPPINGS) && broken.problems.includes('mappings'));
+  const empty = Settings.validateSettings(undefined);
+  check('validate: missing values are not problems', empty.problems.length === 0 && same(empty.settings, Settings.DEFAULTS));
+  empty.settings.mappings.push({ find: 'x', replace: 'y' });
+  check('validate: defaults are copies', Settings.DEFAULTS.mappings.length === Settings.DEFAULT_MAPPINGS.length);
+}
+
+async function checkStored() {
+  const storage = useStorage({ useCloudTranslate: true, cacheTTLDays: 'x', googleApiKey: 'k' });
+  const loaded = await Settings.loadSettings();
+  check('load: migrated and validated', same(loaded.providerChain, ['google-cloud', 'google-public']) && loaded.cacheTTLDays === Settings.DEFAULTS.cacheTTLDays);
+  check('load: storage untouched', storage.local.items.useCloudTranslate === true && !('settingsVersion' in storage.local.items));
+
+  check('migrateStoredSettings: writes the migration', await Settings.migrateStoredSettings() === true);
+  const items = storage.local.items;
+  check('migrateStoredSettings: new keys stored, obsolete ones removed',
+    same(items.providerChain, ['google-cloud', 'google-public']) && !('useCloudTranslate' in items) && items.settingsVersion === Settings.SCHEMA_VERSION);
+  const before = JSON.stringify(items);
+  check('migrateStoredSettings: nothing to do the second time', await Settings.migrateStoredSettings() === false && JSON.stringify(items) === before);
+}
+
+async function checkSave() {
+  const storage = useStorage({ googleApiKey: 'secret', translateTarget: 'fr' });
+  const rejected = await Settings.saveSettings({ translateTarget: 'de', cacheTTLDays: -5, noSuchSetting: true });
+  check('save: invalid and unknown keys rejected', same(rejected.slice().sort(), ['cacheTTLDays', 'noSuchSetting']), rejected.join(', '));
+  await Settings.saveSettings({ mappings: [{ find: 'a', replace: 'b' }, { find: 1 }] });
+  check('save: broken rules left out of a saved list', same(storage.local.items.mappings, [{ find: 'a', replace: 'b' }]), JSON.stringify(storage.local.items.mappings));
+  check('save: valid keys stored, rejected ones not', storage.local.items.translateTarget === 'de' && !('cacheTTLDays' in storage.local.items));
+
+  await Settings.resetSettings();
+  check('reset: synced settings back to their defaults', storage.local.items.translateTarget === Settings.DEFAULTS.translateTarget);
+  check('reset: API keys kept', storage.local.items.googleApiKey === 'secret');
+}
+
+async function checkProfiles() {
+  const storage = useStorage({ googleApiKey: 'secret', translateTarget: 'de', glossary: { term: { en: 'x'.repeat(5000) } } });
+  await Settings.saveProfileAs('work');
+  const index = await Settings.listProfiles();
+  check('profile: saved and active', index.work && await Settings.getActiveProfile() === 'work');
+  check('profile: large settings split over several items', index.work.chunks > 1, index.work.chunks + ' chunks');
+  check('profile: local settings not synced', !JSON.stringify(storage.sync.items).includes('secret'));
+
+  await Settings.saveSettings({ translateTarget: 'es', glossary: {} });
+  const work = await Settings.readProfile('work');
+  check('profile: saving settings updates the active profile', work.translateTarget === 'es');
+  check('profile: stale chunks removed', !Object.keys(storage.sync.items).some(k => k === 'profile:work:' + (index.work.chunks - 1)));
+
+  await Settings.detachProfile();
+  await Settings.saveSettings({ translateTarget: 'it' });
+  await Settings.switchProfile('work');
+  check('profile: switching brings its settings back', storage.local.items.translateTarget === 'es' && storage.local.items.googleApiKey === 'secret');
+
+  const applied = await Settings.applyProfileChanges({ profiles: { newValue: await Settings.listProfiles() } });
+  check('profile: own change to the profile not applied again', applied === false);
+  const remote = Object.assign({}, await Settings.listProfiles());
+  remote.work = Object.assign({}, remote.work, { updated: remote.work.updated + 1 });
+  check('profile: change from another browser applied', await Settings.applyProfileChanges({ profiles: { newValue: remote } }) === true);
+
+  await Settings.deleteProfile('work');
+  check('profile: deleted with its chunks', Object.keys(storage.sync.items).every(k => !k.startsWith('profile:work:')) && !(await Settings.listProfiles()).work);
+  check('profile: deleting the active profile detaches it', await Settings.getActiveProfile() === '');
+  let error = null;
+  try { await Settings.switchProfile('work'); } catch (e) { error = e; }
+  check('profile: switching to a missing profile fails', error !== null);
+}
+
+async function checkProfileSize() {
+  const rule = { find: 'a', replace: 'b', enabled: true, wholeWord: true, ignoreCase: false, preserveCase: false, scope: 'page', group: '', attributes: false };
+  check('rules: saved with only the fields that differ', same(compactRule(rule), { find: 'a', replace: 'b', wholeWord: true }), JSON.stringify(compactRule(rule)));
+  check('rules: compact rule reads back the same', same(normalizeRule(compactRule(rule)), normalizeRule(rule)));
+
+  const mappings = [];
+  for (let i = 0; i < 4000; i++) mappings.push({ find: 'word' + i, replace: 'מילה' + i });
+  const storage = useStorage({ mappings }, {}, 100 * 1024);
+  let error = null;
+  try { await Settings.saveProfileAs('big'); } catch (e) { error = e; }
+  check('profile: a profile over the sync quota is reported as such', error instanceof Settings.ProfileQuotaError, error && error.message);
+  check('profile: nothing half written', !Object.keys(storage.sync.items).length);
+}
+
+async function main() {
+  checkMigrate();
+  checkValidate();
+  await checkStored();
+  await checkSave();
+  await checkProfiles();
+  await checkProfileSize();
+  if (failures) {
+    console.error(failures + ' check(s) failed');
+    process.exitCode = 1;
+  }
+}
+
+main();
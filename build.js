@@ -0,0 +1,89 @@
+// Build: unpacked Manifest V3 packages for Firefox and Chromium in dist/.
+//
+//   node build.js [firefox|chromium ...]
+//
+// manifest.json is the Firefox manifest, so the source tree itself loads in Firefox as it is.
+// dist/firefox is a copy of just the files the extension uses. dist/chromium gets a manifest
+// rewritten for Chromium: the background scripts run as one service worker (background-worker.js,
+// generated here, imports them in manifest order), `menus` is asked for as `contextMenus` and the
+// Firefox-only keys are left out. compat.js, loaded first everywhere, makes `browser.*` work there.
+//
+// Load dist/chromium with "Load unpacked" on chrome://extensions, dist/firefox from
+// about:debugging; zip the directory's contents to publish it.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const DIST = path.join(ROOT, 'dist');
+const WORKER_FILE = 'background-worker.js';
+
+const TARGETS = {
+  firefox: manifest => ({ manifest, generated: {} }),
+  chromium: chromiumManifest
+};
+
+function chromiumManifest(source) {
+  const manifest = JSON.parse(JSON.stringify(source));
+  delete manifest.browser_specific_settings;
+  const scripts = manifest.background.scripts;
+  manifest.background = { service_worker: WORKER_FILE };
+  manifest.permissions = manifest.permissions.map(p => (p === 'menus' ? 'contextMenus' : p));
+  const worker = '// Generated by build.js: the background scripts of manifest.json, in order\n' +
+    'importScripts(' + scripts.map(s => JSON.stringify(s)).join(', ') + ');\n';
+  return { manifest, generated: { [WORKER_FILE]: worker }, extraFiles: scripts };
+}
+
+// The scripts an extension page loads
+function pageScripts(page) {
+  const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+  return Array.from(html.matchAll(/<script\s[^>]*src="([^"]+)"/g), m => m[1]);
+}
+
+// Every file of the tree the manifest needs, directly or through its pages. A missing one fails
+// the build: a browser refuses a package that lacks a file its manifest names.
+function packageFiles(manifest, extraFiles) {
+  const files = new Set(extraFiles || []);
+  for (const cs of manifest.content_scripts || []) for (const f of cs.js || []) files.add(f);
+  for (const f of (manifest.background && manifest.background.scripts) || []) files.add(f);
+  for (const icons of [manifest.icons, manifest.action && manifest.action.default_icon]) {
+    for (const f of Object.values(icons || {})) files.add(f);
+  }
+  const pages = [manifest.action && manifest.action.default_popup, manifest.options_ui && manifest.options_ui.page].filter(Boolean);
+  for (const page of pages) {
+    files.add(page);
+    for (const f of pageScripts(page)) files.add(f);
+  }
+  return Array.from(files);
+}
+
+function build(target) {
+  const source = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const { manifest, generated, extraFiles } = TARGETS[target](source);
+  const out = path.join(DIST, target);
+  fs.rmSync(out, { recursive: true, force: true });
+  const files = packageFiles(manifest, extraFiles);
+  const missing = files.filter(f => !fs.existsSync(path.join(ROOT, f)));
+  if (missing.length) throw new Error(`${target}: missing ${missing.join(', ')}`);
+  for (const f of files) {
+    fs.mkdirSync(path.dirname(path.join(out, f)), { recursive: true });
+    fs.copyFileSync(path.join(ROOT, f), path.join(out, f));
+  }
+  for (const [f, content] of Object.entries(generated)) fs.writeFileSync(path.join(out, f), content);
+  fs.writeFileSync(path.join(out, 'manifest.json'), JSON.stringify(manifest, null, 4) + '\n');
+  console.log(`${target}: ${files.length + Object.keys(generated).length + 1} files in ${path.relative(ROOT, out)}`);
+}
+
+const requested = process.argv.slice(2);
+const unknown = requested.filter(t => !TARGETS[t]);
+if (unknown.length) {
+  console.error(`Unknown target ${unknown.join(', ')}; known: ${Object.keys(TARGETS).join(', ')}`);
+  process.exit(1);
+}
+try {
+  for (const target of requested.length ? requested : Object.keys(TARGETS)) build(target);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
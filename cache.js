@@ -0,0 +1,259 @@
+// Translation cache used by the background script. Loaded before background.js.
+//
+// Entries live in memory as an LRU (a Map in least-recently-used-first order) and are
+// mirrored to IndexedDB. Each entry is { key, value, created, accessed, size }: the TTL
+// counts from `created`, eviction goes by `accessed`, and `size` is an estimate in bytes.
+// Entries with `pinned: true` (manual corrections) never expire, are never evicted and are
+// not overwritten by cachePut. Only changed entries are written, in batches; nothing
+// rewrites the whole cache.
+
+const CACHE_DB_NAME = 'xhebrew-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'translations';
+const CACHE_WRITE_DELAY_MS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CACHE_DEFAULTS = { maxEntries: 1000, maxBytes: 5 * 1024 * 1024, ttlDays: 30 };
+
+let _cacheLimits = Object.assign({}, CACHE_DEFAULTS);
+let _cacheEntries = new Map(); // key -> entry, least recently used first
+let _cacheBytes = 0;
+let _cacheDirty = new Set(); // keys to write on the next flush
+let _cacheDeleted = new Set(); // keys to delete on the next flush
+let _cacheWriteTimer = null;
+let _cacheDb = null; // Promise<IDBDatabase>
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openCacheDb() {
+  if (!_cacheDb) {
+    const req = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+      store.createIndex('accessed', 'accessed');
+    };
+    _cacheDb = requestToPromise(req);
+    // allow a later retry instead of caching the failure
+    _cacheDb.catch(() => { _cacheDb = null; });
+  }
+  return _cacheDb;
+}
+
+// UTF-16 strings: two bytes per code unit
+function entrySize(key, value) {
+  return (key.length + value.length) * 2;
+}
+
+function isExpired(entry, now) {
+  return !entry.pinned && _cacheLimits.ttlDays > 0 && now - entry.created > _cacheLimits.ttlDays * DAY_MS;
+}
+
+// Insert or move an entry to the most recently used end
+function touchEntry(entry) {
+  const old = _cacheEntries.get(entry.key);
+  if (old) {
+    _cacheBytes -= old.size;
+    _cacheEntries.delete(entry.key);
+  }
+  _cacheEntries.set(entry.key, entry);
+  _cacheBytes += entry.size;
+}
+
+function removeEntry(key) {
+  const old = _cacheEntries.get(key);
+  if (!old) return;
+  _cacheEntries.delete(key);
+  _cacheBytes -= old.size;
+  _cacheDirty.delete(key);
+  _cacheDeleted.add(key);
+}
+
+function markDirty(key) {
+  _cacheDeleted.delete(key);
+  _cacheDirty.add(key);
+  scheduleCacheWrite();
+}
+
+// Drop least recently used entries until both limits hold, or only pinned ones are left
+function evictCacheEntries() {
+  for (const [key, entry] of _cacheEntries) {
+    if (_cacheEntries.size <= _cacheLimits.maxEntries && _cacheBytes <= _cacheLimits.maxBytes) break;
+    if (!entry.pinned) removeEntry(key);
+  }
+  if (_cacheDeleted.size) scheduleCacheWrite();
+}
+
+function scheduleCacheWrite() {
+  if (_cacheWriteTimer) return;
+  _cacheWriteTimer = setTimeout(flushCacheWrites, CACHE_WRITE_DELAY_MS);
+}
+
+// Write pending changes in one transaction. Resolves to false when IndexedDB is not
+// available (e.g. in private windows); the cache then only lives in memory.
+async function flushCacheWrites() {
+  clearTimeout(_cacheWriteTimer);
+  _cacheWriteTimer = null;
+  if (_cacheDirty.size === 0 && _cacheDeleted.size === 0) return true;
+  const puts = Array.from(_cacheDirty).map(key => _cacheEntries.get(key)).filter(Boolean);
+  const deletes = Array.from(_cacheDeleted);
+  _cacheDirty = new Set();
+  _cacheDeleted = new Set();
+  try {
+    const db = await openCacheDb();
+    const tx = db.transaction(CACHE_STORE, 'readwrite');
+    const store = tx.objectStore(CACHE_STORE);
+    for (const key of deletes) store.delete(key);
+    for (const entry of puts) store.put(entry);
+    await transactionDone(tx);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Limits come from the cacheMaxEntries, cacheMaxBytes and cacheTTLDays settings
+function configureCache(limits) {
+  const l = limits || {};
+  if (typeof l.maxEntries === 'number' && l.maxEntries > 0) _cacheLimits.maxEntries = l.maxEntries;
+  if (typeof l.maxBytes === 'number' && l.maxBytes > 0) _cacheLimits.maxBytes = l.maxBytes;
+  if (typeof l.ttlDays === 'number' && l.ttlDays >= 0) _cacheLimits.ttlDays = l.ttlDays;
+  evictCacheEntries();
+}
+
+// Before the IndexedDB cache, translations were kept as a single `translationCache` object in
+// storage.local: { key: { v, t } }, or { key: string } in the oldest versions. `t` was reset on
+// every save, so it is only an approximation of the creation time. The old object is removed
+// once its entries are safely in IndexedDB.
+async function migrateLegacyCache(now) {
+  let raw;
+  try {
+    raw = (await browser.storage.local.get('translationCache')).translationCache;
+  } catch (e) {
+    return;
+  }
+  if (!raw || typeof raw !== 'object') return;
+  const migrated = [];
+  for (const key of Object.keys(raw)) {
+    const old = raw[key];
+    const value = typeof old === 'string' ? old : (old && old.v);
+    if (!value || typeof value !== 'string' || _cacheEntries.has(key)) continue;
+    const t = (old && typeof old.t === 'number') ? old.t : now;
+    const entry = { key, value, created: t, accessed: t, size: entrySize(key, value) };
+    if (!isExpired(entry, now)) migrated.push(entry);
+  }
+  migrated.sort((a, b) => a.accessed - b.accessed);
+  for (const entry of migrated) {
+    touchEntry(entry);
+    _cacheDirty.add(entry.key);
+  }
+  evictCacheEntries();
+  if (await flushCacheWrites()) await browser.storage.local.remove('translationCache');
+}
+
+// Read the stored entries into memory in LRU order, dropping expired ones, and migrate
+// the old storage.local cache if there is one.
+async function loadTranslationCache() {
+  _cacheEntries = new Map();
+  _cacheBytes = 0;
+  const now = Date.now();
+  try {
+    const db = await openCacheDb();
+    const tx = db.transaction(CACHE_STORE, 'readonly');
+    const records = await requestToPromise(tx.objectStore(CACHE_STORE).index('accessed').getAll());
+    for (const entry of records) {
+      if (isExpired(entry, now)) _cacheDeleted.add(entry.key);
+      else touchEntry(entry);
+    }
+  } catch (e) {
+    // no IndexedDB: start with an empty memory-only cache
+  }
+  await migrateLegacyCache(now);
+  evictCacheEntries();
+}
+
+// The cached value for key, or null. A hit makes the entry the most recently used.
+function cacheGet(key) {
+  const entry = _cacheEntries.get(key);
+  if (!entry) return null;
+  const now = Date.now();
+  if (isExpired(entry, now)) {
+    removeEntry(key);
+    scheduleCacheWrite();
+    return null;
+  }
+  entry.accessed = now;
+  touchEntry(entry);
+  markDirty(key);
+  return entry.value;
+}
+
+function cachePut(key, value) {
+  if (!value) return;
+  const old = _cacheEntries.get(key);
+  if (old && old.pinned) return;
+  const now = Date.now();
+  touchEntry({ key, value, created: now, accessed: now, size: entrySize(key, value) });
+  markDirty(key);
+  evictCacheEntries();
+}
+
+// Store a value that only the user can change or remove
+function cachePin(key, value) {
+  const now = Date.now();
+  const old = _cacheEntries.get(key);
+  touchEntry({ key, value, created: old ? old.created : now, accessed: now, size: entrySize(key, value), pinned: true });
+  markDirty(key);
+  evictCacheEntries();
+}
+
+function cacheDelete(key) {
+  removeEntry(key);
+  scheduleCacheWrite();
+}
+
+// All entries, least recently used first. The objects are live; do not modify them.
+function cacheList() {
+  return Array.from(_cacheEntries.values());
+}
+
+// Remove every entry except the pinned ones
+async function cacheClear() {
+  for (const [key, entry] of _cacheEntries) {
+    if (!entry.pinned) removeEntry(key);
+  }
+  await flushCacheWrites();
+  await browser.storage.local.remove('translationCache');
+}
+
+// Remove expired entries now instead of on their next lookup. Resolves to the number removed.
+async function cachePurgeExpired() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, entry] of _cacheEntries) {
+    if (isExpired(entry, now)) {
+      removeEntry(key);
+      removed++;
+    }
+  }
+  await flushCacheWrites();
+  return removed;
+}
+
+function cacheStats() {
+  let pinned = 0;
+  for (const entry of _cacheEntries.values()) if (entry.pinned) pinned++;
+  return { entries: _cacheEntries.size, pinned, bytes: _cacheBytes, maxEntries: _cacheLimits.maxEntries, maxBytes: _cacheLimits.maxBytes };
+}
@@ -0,0 +1,67 @@
+// Compatibility layer for Chromium: the rest of xhebrew is written against Firefox's promise-based
+// `browser.*` namespace. Where there is no `browser` (Chromium), one is made from `chrome.*`, whose
+// MV3 APIs return promises as well. What differs is filled in here:
+//   - `menus` is called `contextMenus`
+//   - a runtime.onMessage listener cannot answer with a promise; it calls sendResponse instead,
+//     and an error cannot be sent back, so it travels as a marker that sendMessage turns back
+//     into a rejection
+// Loaded first in every context: the background, the content script and the extension pages.
+// In Firefox it does nothing.
+(function (root) {
+	if (typeof root.browser !== 'undefined' || typeof root.chrome === 'undefined') return;
+	const chrome = root.chrome;
+
+	const ERROR_MARKER = '__xhebrewError';
+
+	// listener -> the chrome-style listener registered for it
+	const _wrapped = new Map();
+
+	function wrapListener(listener) {
+		if (!_wrapped.has(listener)) {
+			_wrapped.set(listener, (msg, sender, sendResponse) => {
+				const result = listener(msg, sender);
+				if (!result || typeof result.then !== 'function') return false;
+				result.then(
+					value => sendResponse(value),
+					err => sendResponse({ [ERROR_MARKER]: (err && err.message) || String(err) })
+				);
+				// keep the channel open for the asynchronous answer
+				return true;
+			});
+		}
+		return _wrapped.get(listener);
+	}
+
+	const onMessage = {
+		addListener: listener => chrome.runtime.onMessage.addListener(wrapListener(listener)),
+		removeListener: listener => {
+			if (!_wrapped.has(listener)) return;
+			chrome.runtime.onMessage.removeListener(_wrapped.get(listener));
+			_wrapped.delete(listener);
+		},
+		hasListener: listener => _wrapped.has(listener) && chrome.runtime.onMessage.hasListener(_wrapped.get(listener))
+	};
+
+	function unwrapResponse(response) {
+		if (response && typeof response === 'object' && ERROR_MARKER in response) throw new Error(response[ERROR_MARKER]);
+		return response;
+	}
+
+	// The chrome object with some of its members swapped; everything else is chrome's own
+	function override(target, members) {
+		return new Proxy(target, {
+			get: (t, name) => (name in members ? members[name] : t[name])
+		});
+	}
+
+	const runtime = override(chrome.runtime, {
+		onMessage,
+		sendMessage: (...args) => chrome.runtime.sendMessage(...args).then(unwrapResponse)
+	});
+	const members = { runtime };
+	// tabs is not available in content scripts
+	if (chrome.tabs) members.tabs = override(chrome.tabs, { sendMessage: (...args) => chrome.tabs.sendMessage(...args).then(unwrapResponse) });
+	if (chrome.contextMenus) members.menus = chrome.contextMenus;
+
+	root.browser = override(chrome, members);
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,100 @@
+// Source-language detection: scores how much of a text is written in each script and picks
+// the language to translate from. Shared by the content script and the options page.
+(function (root) {
+	// Scripts we can score, by the letters that belong to them
+	const SCRIPTS = {
+		hebrew: /[\u0590-\u05FF\uFB1D-\uFB4F]/,
+		arabic: /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/,
+		cyrillic: /[\u0400-\u052F]/
+	};
+
+	// Languages that can be chosen as translation sources. `refine` tells a language apart
+	// from the script's default one; the first language of a script is its default.
+	const LANGUAGES = [
+		{ code: 'he', label: 'Hebrew', script: 'hebrew' },
+		{ code: 'yi', label: 'Yiddish', script: 'hebrew', refine: isYiddish },
+		{ code: 'ar', label: 'Arabic', script: 'arabic' },
+		{ code: 'fa', label: 'Persian', script: 'arabic', refine: isPersian },
+		{ code: 'ru', label: 'Russian', script: 'cyrillic' },
+		{ code: 'uk', label: 'Ukrainian', script: 'cyrillic', refine: isUkrainian }
+	];
+
+	const DEFAULT_DETECTION = {
+		languages: ['he'],
+		// share of the letters that must be in the source script
+		minRatio: 0.4
+	};
+
+	// Yiddish ligatures (װ ױ ײ) and pointed alef are not used in Modern Hebrew; otherwise look for common words
+	const YIDDISH_CHARS_RE = /[\u05F0-\u05F2]|א[\u05B7\u05B8]/;
+	const YIDDISH_WORDS = ['און', 'איז', 'ניט', 'נישט', 'דאס', 'וואס', 'אויף', 'פון', 'מיט', 'האט', 'זיין', 'ווען', 'אבער'];
+
+	function isYiddish(text) {
+		if (YIDDISH_CHARS_RE.test(text)) return true;
+		const words = text.split(/[^\u05D0-\u05EA\u05F0-\u05F2]+/);
+		return words.filter(w => YIDDISH_WORDS.includes(w)).length >= 2;
+	}
+
+	// Persian letters missing from Arabic: پ چ ژ گ, and Persian kaf/yeh
+	function isPersian(text) {
+		return /[\u067E\u0686\u0698\u06AF\u06A9\u06CC]/.test(text);
+	}
+
+	// Ukrainian letters missing from Russian: і ї є ґ
+	function isUkrainian(text) {
+		return /[\u0456\u0457\u0454\u0491\u0406\u0407\u0404\u0490]/.test(text);
+	}
+
+	// Share of the letters in text that belong to each script, e.g. { hebrew: 0.8, arabic: 0 }
+	function scoreScripts(text) {
+		const counts = {};
+		for (const name of Object.keys(SCRIPTS)) counts[name] = 0;
+		let letters = 0;
+		for (const ch of text || '') {
+			if (!/\p{L}/u.test(ch)) continue;
+			letters++;
+			for (const name of Object.keys(SCRIPTS)) {
+				if (SCRIPTS[name].test(ch)) {
+					counts[name]++;
+					break;
+				}
+			}
+		}
+		const scores = {};
+		for (const name of Object.keys(counts)) scores[name] = letters ? counts[name] / letters : 0;
+		return scores;
+	}
+
+	// The language to translate text from, or null when the text is not (mostly) in one of
+	// the configured source languages. Returns { lang, script, ratio }.
+	function detectSourceLanguage(text, options) {
+		const opts = Object.assign({}, DEFAULT_DETECTION, options);
+		const scores = scoreScripts(text);
+		let script = null;
+		for (const name of Object.keys(scores)) {
+			if (scores[name] > 0 && (!script || scores[name] > scores[script])) script = name;
+		}
+		if (!script || scores[script] < opts.minRatio) return null;
+		const candidates = LANGUAGES.filter(l => l.script === script);
+		const refined = candidates.find(l => l.refine && l.refine(text));
+		const lang = refined || candidates[0];
+		if (!opts.languages.includes(lang.code)) return null;
+		return { lang: lang.code, script, ratio: scores[script] };
+	}
+
+	// Languages written right to left, and scripts that are (a script subtag wins: he-Latn is ltr)
+	const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ks', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'];
+	const RTL_SCRIPTS = ['adlm', 'arab', 'hebr', 'nkoo', 'rohg', 'syrc', 'thaa'];
+
+	// Writing direction of a BCP 47 language tag such as 'he', 'en-US' or 'yi-Latn': 'rtl' or 'ltr'
+	function languageDirection(lang) {
+		const subtags = String(lang || '').toLowerCase().split(/[-_]/);
+		const script = subtags.slice(1).find(t => /^[a-z]{4}$/.test(t));
+		if (script) return RTL_SCRIPTS.includes(script) ? 'rtl' : 'ltr';
+		return RTL_LANGUAGES.includes(subtags[0]) ? 'rtl' : 'ltr';
+	}
+
+	const api = { LANGUAGES, DEFAULT_DETECTION, scoreScripts, detectSourceLanguage, languageDirection };
+	if (typeof module !== 'undefined' && module.exports) module.exports = api;
+	else root.XHebrewDetect = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
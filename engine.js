@@ -0,0 +1,316 @@
+// Mapping engine: compiles the find/replace mappings once and applies them in a single pass.
+// Shared by the content script, the options page and bench/ (loaded as a plain script or via require).
+(function (root) {
+	function isRegexString(s) {
+		return typeof s === 'string' && s.length >= 2 && s[0] === '/' && s.lastIndexOf('/') > 0;
+	}
+
+	// A rule is { find, replace, enabled, wholeWord, ignoreCase, preserveCase, scope, group, attributes }.
+	// Scope is where the rule applies: 'tweet' (tweet text), 'names' (display names) or 'page' (all page text).
+	// Group is a free-form name ('' for none) that author policies use to pick a subset of the rules.
+	// Attributes: the rule also rewrites the attributes of the mappingAttributes setting (aria-label, title…).
+	// Older { find, replace } entries get these defaults.
+	const RULE_DEFAULTS = {
+		enabled: true,
+		wholeWord: false,
+		ignoreCase: false,
+		preserveCase: false,
+		scope: 'page',
+		group: '',
+		attributes: false
+	};
+	const RULE_SCOPES = ['tweet', 'names', 'page'];
+
+	function normalizeRule(m) {
+		const rule = Object.assign({}, RULE_DEFAULTS, m);
+		rule.find = typeof rule.find === 'string' ? rule.find : '';
+		rule.replace = typeof rule.replace === 'string' ? rule.replace : '';
+		if (!RULE_SCOPES.includes(rule.scope)) rule.scope = RULE_DEFAULTS.scope;
+		rule.group = typeof rule.group === 'string' ? rule.group.trim() : '';
+		return rule;
+	}
+
+	// The rule with only the fields that differ from RULE_DEFAULTS, as it is saved: the profiles
+	// in storage.sync have little room. normalizeRule fills the rest back in.
+	function compactRule(m) {
+		const rule = normalizeRule(m);
+		const compact = { find: rule.find, replace: rule.replace };
+		for (const key of Object.keys(RULE_DEFAULTS)) {
+			if (rule[key] !== RULE_DEFAULTS[key]) compact[key] = rule[key];
+		}
+		return compact;
+	}
+
+	function makeMatcher(find, ignoreCase) {
+		if (!find) return null;
+		if (isRegexString(find)) {
+			const lastSlash = find.lastIndexOf('/');
+			const pattern = find.slice(1, lastSlash);
+			let flags = find.slice(lastSlash + 1);
+			if (!flags.includes('g')) flags += 'g';
+			if (ignoreCase && !flags.includes('i')) flags += 'i';
+			try {
+				return new RegExp(pattern, flags);
+			} catch (e) {
+				return null;
+			}
+		}
+		// plain strings are literal matches
+		return { literal: find };
+	}
+
+	// The RegExp error for an invalid `/pattern/flags` rule, or '' when the rule is valid or a literal
+	function getRegexError(find, ignoreCase) {
+		if (!isRegexString(find)) return '';
+		const lastSlash = find.lastIndexOf('/');
+		try {
+			new RegExp(find.slice(1, lastSlash), find.slice(lastSlash + 1));
+			return makeMatcher(find, ignoreCase) ? '' : 'Invalid flags';
+		} catch (e) {
+			return e.message;
+		}
+	}
+
+	// Case folding that keeps string length, so offsets in the folded text match the original
+	function foldCase(s) {
+		let out = '';
+		for (let i = 0; i < s.length; i++) {
+			const lower = s[i].toLowerCase();
+			out += lower.length === 1 ? lower : s[i];
+		}
+		return out;
+	}
+
+	const WORD_CHAR_RE = /[\p{L}\p{M}\p{N}_]/u;
+	const HEBREW_LETTER_RE = /[\u05D0-\u05EA]/;
+	// One-letter Hebrew prefixes (and, the, in, as, to, from, that) which may be stacked before a word
+	const HEBREW_PREFIX_RE = /^[\u05D5\u05D4\u05D1\u05DB\u05DC\u05DE\u05E9]{1,3}$/;
+
+	// Whole-word check for text[start, end). A Hebrew word also matches behind prefix letters,
+	// so "ירושלים" matches in "בירושלים" and "וכשירושלים".
+	function isWholeWord(text, start, end) {
+		if (end < text.length && WORD_CHAR_RE.test(text[end])) return false;
+		if (start === 0 || !WORD_CHAR_RE.test(text[start - 1])) return true;
+		if (!HEBREW_LETTER_RE.test(text[start])) return false;
+		let wordStart = start;
+		while (wordStart > 0 && WORD_CHAR_RE.test(text[wordStart - 1])) wordStart--;
+		return HEBREW_PREFIX_RE.test(text.slice(wordStart, start));
+	}
+
+	// Shape the replacement like the matched text: ALL CAPS, Capitalized or unchanged
+	function applyCase(replacement, matched) {
+		const letters = matched.replace(/[^\p{L}]/gu, '');
+		if (!letters || letters.toLowerCase() === letters.toUpperCase()) return replacement;
+		if (letters.length > 1 && letters === letters.toUpperCase()) return replacement.toUpperCase();
+		if (letters[0] === letters[0].toUpperCase()) return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+		return replacement;
+	}
+
+	// Strong right-to-left letters (Hebrew, Arabic, Syriac, Thaana, NKo and their presentation forms)
+	const RTL_CHAR_RE = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+	const LETTER_RE = /\p{L}/u;
+	// First Strong Isolate and Pop Directional Isolate
+	const FSI = '\u2068';
+	const PDI = '\u2069';
+
+	// 'rtl' or 'ltr' after the first letter of text, null when it has none (digits, punctuation)
+	function textDirection(text) {
+		for (const ch of text) {
+			if (RTL_CHAR_RE.test(ch)) return 'rtl';
+			if (LETTER_RE.test(ch)) return 'ltr';
+		}
+		return null;
+	}
+
+	// A replacement that runs the other way than the text it replaced (hello → שלום) is put in a
+	// bidi isolate, so the punctuation and numbers around it keep their place and order
+	function isolateReplacement(replacement, matched) {
+		const dir = textDirection(replacement);
+		return (dir && dir !== textDirection(matched)) ? FSI + replacement + PDI : replacement;
+	}
+
+	// The text without the isolates isolateReplacement added, e.g. before sending it to a translator
+	function stripIsolates(text) {
+		return text.split(FSI).join('').split(PDI).join('');
+	}
+
+	// Aho-Corasick automaton over UTF-16 code units. Each state is
+	// { next: Map<char, state>, fail: state, out: [ruleIndex...] }.
+	function buildAutomaton(literals) {
+		const rootState = { next: new Map(), fail: null, out: [] };
+		for (const { text, ruleIndex } of literals) {
+			let state = rootState;
+			for (const ch of text.split('')) {
+				let nextState = state.next.get(ch);
+				if (!nextState) {
+					nextState = { next: new Map(), fail: null, out: [] };
+					state.next.set(ch, nextState);
+				}
+				state = nextState;
+			}
+			state.out.push(ruleIndex);
+		}
+		// breadth-first pass to set failure links and merge outputs
+		const queue = [];
+		for (const child of rootState.next.values()) {
+			child.fail = rootState;
+			queue.push(child);
+		}
+		for (let qi = 0; qi < queue.length; qi++) {
+			const state = queue[qi];
+			for (const [ch, child] of state.next) {
+				let f = state.fail;
+				while (f && !f.next.has(ch)) f = f.fail;
+				child.fail = f ? f.next.get(ch) : rootState;
+				if (child.fail.out.length) child.out = child.out.concat(child.fail.out);
+				queue.push(child);
+			}
+		}
+		return rootState;
+	}
+
+	// Expand $&, $1, $<name>, $$, $` and $' in a regex replacement for one match
+	function expandReplacement(template, match, input) {
+		if (template.indexOf('$') === -1) return template;
+		return template.replace(/\$(\$|&|`|'|\d{1,2}|<[^>]*>)/g, (token, name) => {
+			if (name === '$') return '$';
+			if (name === '&') return match[0];
+			if (name === '`') return input.slice(0, match.index);
+			if (name === "'") return input.slice(match.index + match[0].length);
+			if (name[0] === '<') {
+				const groups = match.groups;
+				return groups && groups[name.slice(1, -1)] !== undefined ? groups[name.slice(1, -1)] : '';
+			}
+			let n = Number(name);
+			// "$12" with fewer than 12 groups means group 1 followed by "2"
+			if (n >= match.length && name.length === 2) {
+				n = Number(name[0]);
+				if (n > 0 && n < match.length) return (match[n] || '') + name[1];
+				return token;
+			}
+			if (n > 0 && n < match.length) return match[n] || '';
+			return token;
+		});
+	}
+
+	// Compile a mapping list. Literals share one automaton (built over case-folded text, with
+	// case-sensitive rules checked against the original); regexes are built once and reused.
+	// Disabled rules are left out; ruleIndex is the position in the mappings list.
+	function compileMappings(mappings) {
+		const rules = [];
+		const literals = [];
+		const regexRules = [];
+		(mappings || []).forEach((m, ruleIndex) => {
+			if (!m || !m.find) return;
+			const r = normalizeRule(m);
+			if (!r.enabled) return;
+			const matcher = makeMatcher(r.find, r.ignoreCase);
+			if (!matcher) return;
+			const rule = { ruleIndex, mapping: m, replace: r.replace, wholeWord: r.wholeWord, ignoreCase: r.ignoreCase, preserveCase: r.preserveCase };
+			rules[ruleIndex] = rule;
+			if (matcher.literal !== undefined) {
+				rule.literal = matcher.literal;
+				literals.push({ text: foldCase(matcher.literal), ruleIndex });
+			} else {
+				rule.regex = matcher;
+				regexRules.push(rule);
+			}
+		});
+		return {
+			rules,
+			automaton: literals.length ? buildAutomaton(literals) : null,
+			literalLengths: new Map(literals.map(l => [l.ruleIndex, l.text.length])),
+			regexRules
+		};
+	}
+
+	// All non-overlapping matches of the compiled rules in text, left to right. When several
+	// rules match at the same position the one listed first wins. Every rule sees the original
+	// text, so a replacement is never matched again by a later rule.
+	// Returns [{ start, end, ruleIndex, replacement }].
+	function findMatches(compiled, text) {
+		if (!compiled || !text) return [];
+		const candidates = [];
+		function addCandidate(rule, start, end, replacement) {
+			if (rule.wholeWord && !isWholeWord(text, start, end)) return;
+			if (rule.preserveCase) replacement = applyCase(replacement, text.slice(start, end));
+			candidates.push({ start, end, ruleIndex: rule.ruleIndex, replacement });
+		}
+		if (compiled.automaton) {
+			const folded = foldCase(text);
+			let state = compiled.automaton;
+			for (let i = 0; i < folded.length; i++) {
+				const ch = folded[i];
+				while (state !== compiled.automaton && !state.next.has(ch)) state = state.fail;
+				state = state.next.get(ch) || compiled.automaton;
+				for (const ruleIndex of state.out) {
+					const rule = compiled.rules[ruleIndex];
+					const start = i + 1 - compiled.literalLengths.get(ruleIndex);
+					if (!rule.ignoreCase && text.slice(start, i + 1) !== rule.literal) continue;
+					addCandidate(rule, start, i + 1, rule.replace);
+				}
+			}
+		}
+		for (const rule of compiled.regexRules) {
+			rule.regex.lastIndex = 0;
+			let m;
+			while ((m = rule.regex.exec(text))) {
+				// zero-length matches would insert the replacement between every character
+				if (m[0] === '') {
+					rule.regex.lastIndex++;
+					continue;
+				}
+				addCandidate(rule, m.index, m.index + m[0].length, expandReplacement(rule.replace, m, text));
+			}
+		}
+		if (candidates.length === 0) return candidates;
+		candidates.sort((a, b) => (a.start - b.start) || (a.ruleIndex - b.ruleIndex));
+		const selected = [];
+		let lastEnd = 0;
+		for (const c of candidates) {
+			if (c.start < lastEnd) continue;
+			selected.push(c);
+			lastEnd = c.end;
+		}
+		return selected;
+	}
+
+	// `stats`, when given, counts the replacements made in stats.replacements.
+	// options.isolate wraps replacements that change direction in a bidi isolate (isolateReplacement).
+	function applyCompiled(compiled, text, stats, options) {
+		const matches = findMatches(compiled, text);
+		if (stats) stats.replacements = (stats.replacements || 0) + matches.length;
+		if (matches.length === 0) return text;
+		const isolate = !!(options && options.isolate);
+		let out = '';
+		let last = 0;
+		for (const m of matches) {
+			out += text.slice(last, m.start) + (isolate ? isolateReplacement(m.replacement, text.slice(m.start, m.end)) : m.replacement);
+			last = m.end;
+		}
+		return out + text.slice(last);
+	}
+
+	// One compiled engine per scope: a 'page' rule also applies inside tweet text and display names
+	function compileScopedMappings(mappings) {
+		const forScope = (scope) => (mappings || []).map(m => {
+			if (!m) return null;
+			const s = normalizeRule(m).scope;
+			return (s === scope || s === 'page') ? m : null;
+		});
+		return {
+			tweet: compileMappings(forScope('tweet')),
+			names: compileMappings(forScope('names')),
+			page: compileMappings(forScope('page'))
+		};
+	}
+
+	// Only the rules that also rewrite attributes, compiled per scope like compileScopedMappings
+	function compileAttributeMappings(mappings) {
+		return compileScopedMappings((mappings || []).map(m => (m && normalizeRule(m).attributes) ? m : null));
+	}
+
+	const api = { RULE_DEFAULTS, RULE_SCOPES, normalizeRule, compactRule, isRegexString, makeMatcher, getRegexError, compileMappings, compileScopedMappings, compileAttributeMappings, findMatches, applyCompiled, textDirection, isolateReplacement, stripIsolates };
+	if (typeof module !== 'undefined' && module.exports) module.exports = api;
+	else root.XHebrewEngine = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
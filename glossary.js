@@ -0,0 +1,83 @@
+// User glossary for translations. Loaded before background.js, after engine.js.
+//
+// The glossary is stored as { protect: [term...], force: [{ source, target, lang }...] }.
+// Protected terms and the source side of forced pairs are masked with [[1000]]-style
+// placeholders before a text goes to any provider, and put back afterwards: protected terms
+// unchanged, forced pairs as their target term. `lang` limits a forced pair to one target
+// language ('' for all).
+
+const GLOSSARY_TOKEN_BASE = 1000; // well above the [[n]] entity placeholders of the content script
+const GLOSSARY_TOKEN_RE = /\[\[\s*(\d{4,})\s*\]\]/g;
+
+let GLOSSARY = { protect: [], force: [] };
+let _glossaryCompiled = new Map(); // target language -> { compiled, entries }
+
+function setGlossary(glossary) {
+  const g = glossary || {};
+  GLOSSARY = {
+    protect: Array.isArray(g.protect) ? g.protect.filter(t => typeof t === 'string' && t.trim()) : [],
+    force: Array.isArray(g.force) ? g.force.filter(f => f && typeof f.source === 'string' && f.source.trim() && typeof f.target === 'string') : []
+  };
+  _glossaryCompiled = new Map();
+}
+
+function sameLanguage(a, b) {
+  return a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+}
+
+// Glossary terms as engine rules for one target language; entries[ruleIndex] says what to restore
+function compiledGlossaryFor(target) {
+  if (_glossaryCompiled.has(target)) return _glossaryCompiled.get(target);
+  const entries = [];
+  for (const term of GLOSSARY.protect) entries.push({ find: term.trim(), restore: null });
+  for (const f of GLOSSARY.force) {
+    if (f.lang && !sameLanguage(f.lang, target)) continue;
+    entries.push({ find: f.source.trim(), restore: f.target });
+  }
+  const rules = entries.map(e => ({ find: e.find, replace: '', wholeWord: true, ignoreCase: true }));
+  const result = { compiled: entries.length ? XHebrewEngine.compileMappings(rules) : null, entries };
+  _glossaryCompiled.set(target, result);
+  return result;
+}
+
+// Replace glossary terms in text with placeholders. Returns { masked, restore } where
+// restore maps placeholder number -> text to put back.
+function maskGlossaryTerms(text, target) {
+  const { compiled, entries } = compiledGlossaryFor(target);
+  const restore = new Map();
+  if (!compiled) return { masked: text, restore };
+  let masked = '';
+  let last = 0;
+  for (const m of XHebrewEngine.findMatches(compiled, text)) {
+    const token = GLOSSARY_TOKEN_BASE + restore.size;
+    const entry = entries[m.ruleIndex];
+    restore.set(token, entry.restore === null ? text.slice(m.start, m.end) : entry.restore);
+    masked += text.slice(last, m.start) + '[[' + token + ']]';
+    last = m.end;
+  }
+  return { masked: masked + text.slice(last), restore };
+}
+
+function unmaskGlossaryTerms(translated, restore) {
+  if (!translated || restore.size === 0) return translated;
+  return translated.replace(GLOSSARY_TOKEN_RE, (token, n) => (restore.has(Number(n)) ? restore.get(Number(n)) : token));
+}
+
+// Short tag of the glossary entries that apply to text, '' when none do. It is part of the
+// cache key, so editing a term only invalidates the cached translations that contain it.
+function glossaryTag(text, target) {
+  const { compiled, entries } = compiledGlossaryFor(target);
+  if (!compiled) return '';
+  const used = XHebrewEngine.findMatches(compiled, text).map(m => {
+    const e = entries[m.ruleIndex];
+    return e.find + '=' + (e.restore === null ? '' : e.restore);
+  });
+  if (used.length === 0) return '';
+  // FNV-1a over the sorted entries
+  let h = 0x811c9dc5;
+  for (const ch of Array.from(new Set(used)).sort().join('\n')) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16);
+}
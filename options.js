@@ -1,9 +1,7 @@
 // Options page script for xhebrew extension
 (function () {
-  const DEFAULTS = [
-    { find: "Twitter", replace: "X (Twitter)" },
-    { find: "hello", replace: "שלום" }
-  ];
+  // Defaults, validation and profiles of the settings come from settings.js
+  const Settings = XHebrewSettings;
 
   function el(tag, attrs = {}, ...children) {
     const e = document.createElement(tag);
@@ -15,95 +13,703 @@
     return e;
   }
 
+  const SCOPE_LABELS = { tweet: 'Tweet text only', names: 'Display names', page: 'All page text' };
+
+  function checkbox(cls, checked, label) {
+    const box = el('input', { type: 'checkbox', class: cls });
+    box.checked = !!checked;
+    return el('label', {}, box, ' ' + label);
+  }
+
   function createRow(mapping) {
+    const rule = XHebrewEngine.normalizeRule(mapping);
     const row = el('div', { class: 'row' });
-    const find = el('input', { type: 'text', value: mapping.find || '', placeholder: 'find' });
-    const replace = el('input', { type: 'text', value: mapping.replace || '', placeholder: 'replace' });
+    const find = el('input', { type: 'text', class: 'find', value: rule.find, placeholder: 'find' });
+    const replace = el('input', { type: 'text', class: 'replace', value: rule.replace, placeholder: 'replace' });
     const del = el('button', {}, 'Remove');
     del.addEventListener('click', () => row.remove());
+    const scope = el('select', { class: 'scope' });
+    for (const s of XHebrewEngine.RULE_SCOPES) scope.appendChild(el('option', { value: s }, SCOPE_LABELS[s]));
+    scope.value = rule.scope;
+    const group = el('input', { type: 'text', class: 'group', value: rule.group, placeholder: 'none', list: 'mappingGroups', style: 'width:10em' });
+    const enabled = checkbox('enabled', rule.enabled, 'Enabled');
+    const options = el('div', { class: 'rule-options' },
+      enabled,
+      checkbox('wholeWord', rule.wholeWord, 'Whole word'),
+      checkbox('ignoreCase', rule.ignoreCase, 'Ignore case'),
+      checkbox('preserveCase', rule.preserveCase, 'Preserve case'),
+      el('label', {}, 'Scope: ', scope),
+      el('label', {}, 'Group: ', group),
+      checkbox('attributes', rule.attributes, 'Also in attributes'));
+    const syncDisabled = () => row.classList.toggle('disabled', !enabled.firstChild.checked);
+    enabled.firstChild.addEventListener('change', syncDisabled);
+    syncDisabled();
+    const error = el('span', { class: 'rule-error' });
     row.appendChild(find);
     row.appendChild(replace);
     row.appendChild(del);
+    row.appendChild(error);
+    row.appendChild(options);
+    validateRow(row);
+    return row;
+  }
+
+  // Show the RegExp error of a /pattern/flags rule under its row; returns true when valid
+  function validateRow(row) {
+    const rule = readRow(row);
+    const message = XHebrewEngine.getRegexError(rule.find, rule.ignoreCase);
+    row.querySelector('.find').classList.toggle('invalid', !!message);
+    const error = row.querySelector('.rule-error');
+    error.textContent = message;
+    error.style.display = message ? '' : 'none';
+    return !message;
+  }
+
+  function readMappings() {
+    const rows = Array.from(document.getElementById('list').children || []);
+    return rows.map(readRow);
+  }
+
+  // Run the current (unsaved) rules over the sample text and highlight what each one matched
+  function updateTester() {
+    const sample = document.getElementById('testerSample').value;
+    const mappings = readMappings();
+    const scoped = XHebrewEngine.compileScopedMappings(mappings);
+    const compiled = scoped[document.getElementById('testerScope').value];
+    const matchesEl = document.getElementById('testerMatches');
+    const resultEl = document.getElementById('testerResult');
+    const rulesEl = document.getElementById('testerRules');
+    matchesEl.innerHTML = '';
+    resultEl.innerHTML = '';
+    rulesEl.innerHTML = '';
+    if (!sample) return;
+    const counts = new Map();
+    let last = 0;
+    for (const m of XHebrewEngine.findMatches(compiled, sample)) {
+      const rule = mappings[m.ruleIndex];
+      const title = `Rule ${m.ruleIndex + 1}: ${rule.find} → ${rule.replace}`;
+      matchesEl.appendChild(document.createTextNode(sample.slice(last, m.start)));
+      matchesEl.appendChild(el('mark', { title }, sample.slice(m.start, m.end)));
+      resultEl.appendChild(document.createTextNode(sample.slice(last, m.start)));
+      // isolated as in the page's text; the isolates themselves are invisible, so the mark shows them
+      const shown = XHebrewEngine.isolateReplacement(m.replacement, sample.slice(m.start, m.end));
+      const isolated = shown !== m.replacement;
+      resultEl.appendChild(el('mark', isolated ? { title: title + ' (in a bidi isolate)', class: 'isolated' } : { title }, shown));
+      counts.set(m.ruleIndex, (counts.get(m.ruleIndex) || 0) + 1);
+      last = m.end;
+    }
+    matchesEl.appendChild(document.createTextNode(sample.slice(last)));
+    resultEl.appendChild(document.createTextNode(sample.slice(last)));
+    for (const [ruleIndex, count] of Array.from(counts.entries()).sort((a, b) => a[0] - b[0])) {
+      const rule = mappings[ruleIndex];
+      rulesEl.appendChild(el('li', {}, `Rule ${ruleIndex + 1} (${rule.find}): ${count} match${count === 1 ? '' : 'es'}`));
+    }
+  }
+
+  function readRow(row) {
+    const q = (sel) => row.querySelector(sel);
+    return {
+      find: q('.find').value || '',
+      replace: q('.replace').value || '',
+      enabled: q('.enabled').checked,
+      wholeWord: q('.wholeWord').checked,
+      ignoreCase: q('.ignoreCase').checked,
+      preserveCase: q('.preserveCase').checked,
+      scope: q('.scope').value,
+      group: q('.group').value.trim(),
+      attributes: q('.attributes').checked
+    };
+  }
+
+  // The attribute allowlist field: names separated by commas or spaces.
+  // Returns { names, invalid } where invalid are the names settings.js does not allow.
+  function readMappingAttributes() {
+    const given = document.getElementById('mappingAttributes').value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+    const names = Array.from(new Set(given));
+    return { names: names.filter(Settings.isMappableAttribute), invalid: names.filter(n => !Settings.isMappableAttribute(n)) };
+  }
+
+  const PROVIDER_SETTING_IDS = ['googleApiKey','libreUrl','libreApiKey','httpUrl','httpMethod','httpHeaders','httpBodyTemplate','httpResultPath'];
+
+  function createProviderRow(provider, enabled) {
+    const row = el('div', { class: 'row', 'data-provider': provider.id });
+    const check = el('input', { type: 'checkbox' });
+    check.checked = enabled;
+    const up = el('button', { type: 'button' }, 'Up');
+    const down = el('button', { type: 'button' }, 'Down');
+    up.addEventListener('click', () => {
+      if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+    });
+    down.addEventListener('click', () => {
+      if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+    });
+    row.appendChild(el('label', {}, check, ' ' + provider.label + ' '));
+    row.appendChild(up);
+    row.appendChild(down);
+    return row;
+  }
+
+  // Enabled providers first in chain order, then the remaining ones unchecked
+  function renderProviderChain(chain) {
+    const container = document.getElementById('providerChain');
+    container.innerHTML = '';
+    for (const id of chain) {
+      const provider = TRANSLATION_PROVIDERS[id];
+      if (provider) container.appendChild(createProviderRow(provider, true));
+    }
+    for (const id of Object.keys(TRANSLATION_PROVIDERS)) {
+      if (!chain.includes(id)) container.appendChild(createProviderRow(TRANSLATION_PROVIDERS[id], false));
+    }
+  }
+
+  function readProviderChain() {
+    const rows = Array.from(document.getElementById('providerChain').children || []);
+    return rows.filter(r => r.querySelector('input[type=checkbox]').checked).map(r => r.getAttribute('data-provider'));
+  }
+
+  function readProviderSettings() {
+    const out = {};
+    for (const id of PROVIDER_SETTING_IDS) out[id] = document.getElementById(id).value || '';
+    return out;
+  }
+
+  function createGlossaryRow(entry) {
+    const row = el('div', { class: 'row' });
+    const source = el('input', { type: 'text', class: 'glossary-source', placeholder: 'Term', value: entry.source || '' });
+    const target = el('input', { type: 'text', class: 'glossary-target', placeholder: 'Translation', value: entry.target || '' });
+    const lang = el('input', { type: 'text', class: 'glossary-lang', placeholder: 'Lang', value: entry.lang || '', style: 'width:4em' });
+    const del = el('button', { type: 'button' }, 'Remove');
+    del.addEventListener('click', () => row.remove());
+    row.appendChild(source);
+    row.appendChild(target);
+    row.appendChild(lang);
+    row.appendChild(del);
+    return row;
+  }
+
+  function renderGlossary(glossary) {
+    const g = glossary || {};
+    document.getElementById('glossaryProtect').value = (Array.isArray(g.protect) ? g.protect : []).join('\n');
+    const container = document.getElementById('glossaryForce');
+    container.innerHTML = '';
+    for (const f of Array.isArray(g.force) ? g.force : []) container.appendChild(createGlossaryRow(f));
+  }
+
+  function readGlossary() {
+    const protect = document.getElementById('glossaryProtect').value.split('\n').map(t => t.trim()).filter(Boolean);
+    const force = Array.from(document.getElementById('glossaryForce').children || []).map(row => ({
+      source: row.querySelector('.glossary-source').value.trim(),
+      target: row.querySelector('.glossary-target').value.trim(),
+      lang: row.querySelector('.glossary-lang').value.trim()
+    })).filter(f => f.source !== '');
+    return { protect, force };
+  }
+
+  // Groups named by the mappings above, unsaved edits included
+  function mappingGroupNames() {
+    return Array.from(new Set(readMappings().map(m => m.group).filter(Boolean))).sort();
+  }
+
+  // Offer the groups in use to the group fields and the author policies (the ones given, or
+  // the ones on the page)
+  function updateMappingGroups(policies) {
+    const list = document.getElementById('mappingGroups');
+    list.innerHTML = '';
+    for (const g of mappingGroupNames()) list.appendChild(el('option', { value: g }));
+    renderPolicies(policies || readPolicies());
+  }
+
+  const POLICY_TRANSLATE = [['default', 'As configured'], ['always', 'Always translate'], ['never', 'Never translate']];
+
+  // Policies are stored by handle, lowercase and without the @, as the content script looks them up
+  function normalizeHandle(handle) {
+    return String(handle || '').trim().replace(/^@/, '').toLowerCase();
+  }
+
+  // policy: { translate: 'default' | 'always' | 'never', target: '' for the configured one,
+  // groups: null for all mappings or the group names to apply ('' is the rules without a group) }
+  function createPolicyRow(handle, policy) {
+    const p = policy || {};
+    const handleInput = el('input', { type: 'text', class: 'policy-handle', value: handle ? '@' + handle : '', placeholder: '@handle', style: 'width:12em' });
+    handleInput.addEventListener('input', applyPolicySearch);
+    const translate = el('select', { class: 'policy-translate' });
+    for (const [value, label] of POLICY_TRANSLATE) translate.appendChild(el('option', { value }, label));
+    translate.value = p.translate || 'default';
+    const target = el('input', { type: 'text', class: 'policy-target', value: p.target || '', placeholder: 'default', style: 'width:5em' });
+    const groups = el('div', {});
+    const all = el('input', { type: 'checkbox', class: 'policy-all' });
+    all.checked = !Array.isArray(p.groups);
+    groups.appendChild(el('label', {}, all, ' All mappings'));
+    const names = new Set([''].concat(mappingGroupNames(), Array.isArray(p.groups) ? p.groups : []));
+    for (const g of names) {
+      const box = el('input', { type: 'checkbox', class: 'policy-group', value: g });
+      box.checked = Array.isArray(p.groups) && p.groups.includes(g);
+      box.disabled = all.checked;
+      groups.appendChild(el('label', { style: 'margin-left:8px' }, box, ' ' + (g || '(no group)')));
+    }
+    all.addEventListener('change', () => {
+      for (const box of groups.querySelectorAll('.policy-group')) box.disabled = all.checked;
+    });
+    const del = el('button', { type: 'button' }, 'Remove');
+    const row = el('tr', { class: 'policy-row' },
+      el('td', {}, handleInput), el('td', {}, translate), el('td', {}, 'Into: ', target), el('td', {}, groups), el('td', {}, del));
+    del.addEventListener('click', () => {
+      row.remove();
+      applyPolicySearch();
+    });
     return row;
   }
 
+  function renderPolicies(policies) {
+    const list = document.getElementById('policyList');
+    list.innerHTML = '';
+    for (const handle of Object.keys(policies || {}).sort()) list.appendChild(createPolicyRow(handle, policies[handle]));
+    applyPolicySearch();
+  }
+
+  function readPolicies() {
+    const policies = {};
+    for (const row of document.querySelectorAll('#policyList .policy-row')) {
+      const handle = normalizeHandle(row.querySelector('.policy-handle').value);
+      if (!handle) continue;
+      const all = row.querySelector('.policy-all').checked;
+      policies[handle] = {
+        translate: row.querySelector('.policy-translate').value,
+        target: row.querySelector('.policy-target').value.trim(),
+        groups: all ? null : Array.from(row.querySelectorAll('.policy-group:checked')).map(b => b.value)
+      };
+    }
+    return policies;
+  }
+
+  // Hide the policies whose handle does not contain the search text
+  function applyPolicySearch() {
+    const query = normalizeHandle(document.getElementById('policySearch').value);
+    const rows = Array.from(document.querySelectorAll('#policyList .policy-row'));
+    let shown = 0;
+    for (const row of rows) {
+      const handle = normalizeHandle(row.querySelector('.policy-handle').value);
+      row.hidden = !!query && !!handle && !handle.includes(query);
+      if (!row.hidden) shown++;
+    }
+    document.getElementById('policyCount').textContent = rows.length === shown
+      ? `${rows.length} author${rows.length === 1 ? '' : 's'}`
+      : `${shown} of ${rows.length} authors`;
+  }
+
+  function addPolicy() {
+    document.getElementById('policySearch').value = '';
+    const row = createPolicyRow('', null);
+    document.getElementById('policyList').prepend(row);
+    applyPolicySearch();
+    row.querySelector('.policy-handle').focus();
+  }
+
+  function renderDetectLanguages(selected) {
+    const container = document.getElementById('detectLanguages');
+    container.innerHTML = '';
+    for (const lang of XHebrewDetect.LANGUAGES) {
+      const box = el('input', { type: 'checkbox', value: lang.code });
+      box.checked = selected.includes(lang.code);
+      container.appendChild(el('label', { style: 'margin-right:8px' }, box, ' ' + lang.label));
+    }
+  }
+
+  function readDetectLanguages() {
+    return Array.from(document.querySelectorAll('#detectLanguages input:checked')).map(b => b.value);
+  }
+
+  // one switch per content region (regions.js); stored as { regionId: true/false }
+  function renderTranslateRegions(settings) {
+    const container = document.getElementById('translateRegions');
+    container.innerHTML = '';
+    const enabled = XHebrewRegions.enabledRegions(settings);
+    for (const region of XHebrewRegions.REGIONS) {
+      const box = el('input', { type: 'checkbox', value: region.id });
+      box.checked = enabled.includes(region);
+      container.appendChild(el('label', { style: 'margin-right:8px' }, box, ' ' + region.label));
+    }
+  }
+
+  function readTranslateRegions() {
+    const regions = {};
+    for (const box of document.querySelectorAll('#translateRegions input')) regions[box.value] = box.checked;
+    return regions;
+  }
+
+  // Selector overrides as loaded, to tell whether the user changed them before saving
+  let _loadedSelectorOverrides = { version: XHebrewSelectors.PROFILE_VERSION, selectors: {} };
+
+  function validateSelectorInput(input) {
+    const error = input.value.trim() ? XHebrewSelectors.getSelectorError(input.value.trim()) : '';
+    input.classList.toggle('invalid', !!error);
+    input.title = error;
+    const msg = input.parentElement.querySelector('.rule-error');
+    if (msg) msg.remove();
+    if (error) input.after(el('span', { class: 'rule-error' }, error));
+    return !error;
+  }
+
+  // one row per selector of the profile: what it finds, an override field and, after a check, its matches
+  function renderSelectorOverrides(overrides) {
+    const list = document.getElementById('selectorList');
+    list.innerHTML = '';
+    const given = (overrides && overrides.selectors) || {};
+    list.appendChild(el('tr', {}, el('th', {}, 'Finds'), el('th', {}, 'Selector'), el('th', {}, 'Matches')));
+    for (const s of XHebrewSelectors.SELECTORS) {
+      const input = el('input', { type: 'text', 'data-name': s.name, placeholder: s.selector });
+      input.value = given[s.name] || '';
+      input.addEventListener('input', () => validateSelectorInput(input));
+      list.appendChild(el('tr', {}, el('td', {}, s.label), el('td', {}, input), el('td', { class: 'selector-matches' }, '')));
+      validateSelectorInput(input);
+    }
+    document.getElementById('selectorVersion').textContent = XHebrewSelectors.PROFILE_VERSION;
+    document.getElementById('selectorStale').hidden = !XHebrewSelectors.resolveSelectors(overrides).stale;
+  }
+
+  // Stored as { version, selectors: { name: selector } }. The version says which profile the
+  // overrides were made against; it only moves on when the overrides are edited.
+  function readSelectorOverrides() {
+    const selectors = {};
+    for (const input of document.querySelectorAll('#selectorList input')) {
+      if (input.value.trim()) selectors[input.getAttribute('data-name')] = input.value.trim();
+    }
+    const unchanged = JSON.stringify(selectors) === JSON.stringify(_loadedSelectorOverrides.selectors || {});
+    return { version: unchanged ? (_loadedSelectorOverrides.version || 0) : XHebrewSelectors.PROFILE_VERSION, selectors };
+  }
+
+  const X_TAB_PATTERNS = ['https://twitter.com/*', 'https://*.twitter.com/*', 'https://x.com/*', 'https://*.x.com/*'];
+
+  // Ask the content script in the most recently used X tab how the selectors fare on its page
+  async function runSelectorDiagnostics() {
+    const report = document.getElementById('diagnosticsReport');
+    report.innerHTML = '';
+    const tabs = await browser.tabs.query({ url: X_TAB_PATTERNS });
+    tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    if (!tabs.length) {
+      report.appendChild(el('p', { class: 'diagnostics-warning' }, 'Open X in a tab first; the check runs on the page shown there.'));
+      return;
+    }
+    let result;
+    try {
+      result = await browser.tabs.sendMessage(tabs[0].id, { type: 'xhebrewDiagnostics', overrides: readSelectorOverrides() });
+    } catch (e) {
+      report.appendChild(el('p', { class: 'diagnostics-warning' }, 'The X tab did not answer. Reload it and try again.'));
+      return;
+    }
+    showDiagnostics(result);
+  }
+
+  function showDiagnostics(result) {
+    const report = document.getElementById('diagnosticsReport');
+    const counts = {};
+    for (const s of result.selectors) counts[s.name] = s.matches;
+    const warnings = [];
+    for (const s of result.selectors) {
+      const cell = document.querySelector('#selectorList input[data-name="' + s.name + '"]').closest('tr').querySelector('.selector-matches');
+      // nothing to look inside: the count says nothing about this selector
+      const unknown = s.within && counts[s.within] === 0;
+      cell.textContent = unknown ? '–' : String(s.matches);
+      cell.classList.toggle('diagnostics-warning', !unknown && s.matches === 0);
+      if (unknown || s.matches) continue;
+      warnings.push(s.label + (s.overridden ? ' (overridden)' : '') + ' matched nothing on this page' +
+        (s.essential ? '. It should match on every timeline, so X may have changed its markup.' : '.'));
+    }
+    for (const bad of result.invalid) warnings.push(bad.name + ': "' + bad.selector + '" is not a valid selector (' + bad.error + '); the built-in one was used.');
+    report.appendChild(el('p', { style: 'margin:0 0 4px 0' }, 'Checked ' + result.url));
+    const regions = result.regions.map(r => r.label + ': ' + r.texts + (r.enabled ? '' : ' (off)')).join(' · ');
+    report.appendChild(el('p', { style: 'margin:0 0 4px 0' }, 'Texts found per region: ' + regions));
+    const list = el('ul', {});
+    for (const w of warnings) list.appendChild(el('li', { class: 'diagnostics-warning' }, w));
+    if (!warnings.length) list.appendChild(el('li', {}, 'Every selector matched something.'));
+    report.appendChild(list);
+  }
+
   async function load() {
     try {
-      const res = await browser.storage.local.get(['mappings','translateEnabled','translateTarget','translateReplace','cacheMaxEntries','cacheTTLDays','translationCache','useCloudTranslate','googleApiKey']);
-      const mappings = (res && Array.isArray(res.mappings) && res.mappings.length) ? res.mappings : DEFAULTS;
-      const translateEnabled = !!res.translateEnabled;
-      const translateTarget = (res.translateTarget || 'en');
-      const translateReplace = (res.translateReplace === undefined) ? true : !!res.translateReplace;
-      const cacheMaxEntries = (typeof res.cacheMaxEntries === 'number') ? res.cacheMaxEntries : 1000;
-      const cacheTTLDays = (typeof res.cacheTTLDays === 'number') ? res.cacheTTLDays : 30;
-      const useCloudTranslate = !!res.useCloudTranslate;
-      const googleApiKey = (res.googleApiKey || '');
+      const settings = await Settings.loadSettings();
       const list = document.getElementById('list');
       list.innerHTML = '';
-      for (const m of mappings) list.appendChild(createRow(m));
-      document.getElementById('translateEnabled').checked = translateEnabled;
-      document.getElementById('translateTarget').value = translateTarget;
-      document.getElementById('translateReplace').checked = translateReplace;
-      document.getElementById('cacheMaxEntries').value = cacheMaxEntries;
-      document.getElementById('cacheTTLDays').value = cacheTTLDays;
-
-      // show cache stats
-      const cacheObj = res.translationCache || {};
-      const keys = Object.keys(cacheObj);
-      let bytes = 0;
-      for (const k of keys) {
-        const v = cacheObj[k];
-        if (v && typeof v === 'object' && v.v) bytes += (v.v.length || 0);
-        else if (typeof v === 'string') bytes += v.length;
-      }
-      const stats = `${keys.length} entries — approx ${Math.round(bytes/1024)} KB`;
-      const statsEl = document.getElementById('cacheStats');
-      if (statsEl) statsEl.textContent = 'Cache: ' + stats;
-      // cloud translate settings
-      document.getElementById('useCloudTranslate').checked = useCloudTranslate;
-      document.getElementById('googleApiKey').value = googleApiKey;
+      for (const m of settings.mappings) list.appendChild(createRow(m));
+      document.getElementById('mappingAttributes').value = settings.mappingAttributes.join(', ');
+      updateTester();
+      updateMappingGroups(settings.authorPolicies);
+      document.getElementById('extensionEnabled').checked = settings.extensionEnabled;
+      document.getElementById('translateEnabled').checked = settings.translateEnabled;
+      document.getElementById('translateTarget').value = settings.translateTarget;
+      document.getElementById('translateReplace').checked = settings.translateReplace;
+      document.getElementById('translateMarkup').checked = settings.translateMarkup;
+      document.getElementById('transliterateEnabled').checked = settings.transliterateEnabled;
+      document.getElementById('transliterateScheme').value = settings.transliterateScheme;
+      renderDetectLanguages(settings.detectLanguages);
+      renderTranslateRegions(settings.translateRegions);
+      document.getElementById('detectMinRatio').value = Math.round(settings.detectMinRatio * 100);
+      document.getElementById('cacheMaxEntries').value = settings.cacheMaxEntries;
+      document.getElementById('cacheMaxMB').value = Math.round(settings.cacheMaxBytes / (1024 * 1024) * 10) / 10;
+      document.getElementById('cacheTTLDays').value = settings.cacheTTLDays;
+      refreshCacheInspector();
+      // translation providers
+      renderProviderChain(settings.providerChain);
+      for (const id of PROVIDER_SETTING_IDS) document.getElementById(id).value = settings[id];
+      renderGlossary(settings.glossary);
+      _loadedSelectorOverrides = settings.selectorOverrides;
+      renderSelectorOverrides(_loadedSelectorOverrides);
+      renderProfiles();
     } catch (e) {
       console.error('Failed to load mappings', e);
     }
   }
 
+  // options.html?find=... comes from the "Add selection as mapping…" context menu: add a rule for
+  // that text (or point at the existing one) and leave the replacement to the user
+  function addMappingFromUrl() {
+    const find = new URLSearchParams(location.search).get('find');
+    if (!find) return;
+    const list = document.getElementById('list');
+    let row = Array.from(list.children).find(r => r.querySelector('.find').value === find);
+    if (!row) {
+      row = createRow({ find, replace: '' });
+      list.appendChild(row);
+      updateTester();
+    }
+    row.classList.add('highlight');
+    const note = el('div', { class: 'rule-note' }, 'Mapping for your selection: enter the replacement and click Save.');
+    row.insertBefore(note, row.firstChild);
+    row.scrollIntoView({ block: 'center' });
+    row.querySelector('.replace').focus();
+    // a reload should not add the rule again
+    history.replaceState(null, '', location.pathname);
+  }
+
   async function save() {
     const list = document.getElementById('list');
     const rows = Array.from(list.children || []);
-    const mappings = rows.map(r => {
-      const inputs = r.querySelectorAll('input');
-      return { find: inputs[0].value || '', replace: inputs[1].value || '' };
-    }).filter(m => m.find !== '');
+    const mappings = rows.map(readRow).filter(m => m.find !== '').map(m => XHebrewEngine.compactRule(m));
+    const invalid = rows.filter(r => !validateRow(r)).length;
+    const extensionEnabled = document.getElementById('extensionEnabled').checked;
     const translateEnabled = document.getElementById('translateEnabled').checked;
     const translateTarget = document.getElementById('translateTarget').value || 'en';
     const translateReplace = document.getElementById('translateReplace').checked;
-    const cacheMaxEntries = Number(document.getElementById('cacheMaxEntries').value) || 1000;
-    const cacheTTLDays = Number(document.getElementById('cacheTTLDays').value) || 30;
-    const useCloudTranslate = !!document.getElementById('useCloudTranslate').checked;
-    const googleApiKey = (document.getElementById('googleApiKey').value || '');
-    await browser.storage.local.set({ mappings, translateEnabled, translateTarget, translateReplace, cacheMaxEntries, cacheTTLDays, useCloudTranslate, googleApiKey });
-    const s = document.createElement('span');
-    s.textContent = 'Saved.';
-    s.style.marginLeft = '8px';
-    document.getElementById('save').after(s);
-    setTimeout(() => s.remove(), 2000);
+    const translateMarkup = document.getElementById('translateMarkup').checked;
+    const transliterateEnabled = document.getElementById('transliterateEnabled').checked;
+    const transliterateScheme = document.getElementById('transliterateScheme').value;
+    const detectLanguages = readDetectLanguages();
+    const translateRegions = readTranslateRegions();
+    const selectorOverrides = readSelectorOverrides();
+    const detectMinRatio = Math.min(100, Math.max(1, Number(document.getElementById('detectMinRatio').value) || 40)) / 100;
+    // passed on as typed: saveSettings rejects what is out of range (an empty field is NaN), 0 days means no expiry
+    const cacheMaxEntries = readNumber('cacheMaxEntries');
+    const cacheMaxBytes = Math.round(readNumber('cacheMaxMB') * 1024 * 1024);
+    const cacheTTLDays = readNumber('cacheTTLDays');
+    const providerChain = readProviderChain();
+    const providerSettings = readProviderSettings();
+    const glossary = readGlossary();
+    const authorPolicies = readPolicies();
+    const attributes = readMappingAttributes();
+    const mappingAttributes = attributes.names;
+    const notes = [];
+    if (invalid) notes.push(`${invalid} rule${invalid === 1 ? ' has an invalid' : 's have invalid'} regex and will be skipped.`);
+    if (attributes.invalid.length) notes.push('These attributes cannot be rewritten and were left out: ' + attributes.invalid.join(', ') + '.');
+    _profileProblem = '';
+    try {
+      const rejected = await Settings.saveSettings(Object.assign({ extensionEnabled, mappings, mappingAttributes, translateEnabled, translateTarget, translateReplace, translateMarkup, transliterateEnabled, transliterateScheme, detectLanguages, detectMinRatio, translateRegions, selectorOverrides, cacheMaxEntries, cacheMaxBytes, cacheTTLDays, providerChain, glossary, authorPolicies }, providerSettings));
+      if (rejected.length) notes.push('Not saved, out of range: ' + rejected.join(', ') + '.');
+    } catch (e) {
+      // the settings are stored before the profile is synced, so only the sync can have failed
+      notes.push('The profile could not be synced: ' + e.message);
+      showProfileError(e);
+    }
+    _loadedSelectorOverrides = selectorOverrides;
+    showNote(document.getElementById('save'), ['Saved.'].concat(notes).join(' '), notes.length > 0);
+  }
+
+  // The number in a field, NaN when it is empty or not a number
+  function readNumber(id) {
+    const value = document.getElementById(id).value.trim();
+    return value === '' ? NaN : Number(value);
   }
 
+  // A short-lived message next to a button
+  function showNote(anchor, text, isError) {
+    const s = el('span', { style: 'margin-left:8px' + (isError ? '; color:#c00' : '') }, text);
+    anchor.after(s);
+    setTimeout(() => s.remove(), isError ? 5000 : 2000);
+  }
+
+  // Everything but the API keys and headers goes back to its default, the cache and provider settings included
   async function resetDefaults() {
-    await browser.storage.local.set({ mappings: DEFAULTS, translateEnabled: false, translateTarget: 'en', translateReplace: true });
+    try {
+      await Settings.resetSettings();
+    } catch (e) {
+      showNote(document.getElementById('reset'), 'The profile could not be synced: ' + e.message, true);
+    }
+    await load();
+    showNote(document.getElementById('reset'), 'Settings reset. API keys and request headers were kept.', false);
+  }
+
+  // A profile that does not fit in storage.sync is reported where the profiles are, whatever was
+  // being saved, until a later save syncs it
+  let _profileProblem = '';
+
+  function showProfileError(e) {
+    if (!(e instanceof Settings.ProfileQuotaError)) return;
+    _profileProblem = e.message;
+    document.getElementById('profileStatus').textContent = e.message;
+  }
+
+  // Named profiles (settings.js), synced through storage.sync; the active one follows every Save
+  async function renderProfiles() {
+    const status = document.getElementById('profileStatus');
+    let profiles;
+    let active;
+    try {
+      profiles = await Settings.listProfiles();
+      active = await Settings.getActiveProfile();
+    } catch (e) {
+      status.textContent = 'Profiles are not available: ' + e.message;
+      return;
+    }
+    const select = document.getElementById('profileSelect');
+    fillSelect(select, Object.keys(profiles).sort().map(name => ({ value: name, label: name })), '(no profile)');
+    select.value = active && profiles[active] ? active : '';
+    status.textContent = _profileProblem || (active && profiles[active]
+      ? `Active profile: ${active}, last saved ${new Date(profiles[active].updated).toLocaleString()}.`
+      : 'No active profile: settings are kept in this browser only.');
+  }
+
+  async function switchToProfile() {
+    const name = document.getElementById('profileSelect').value;
+    try {
+      if (name) await Settings.switchProfile(name);
+      else await Settings.detachProfile();
+    } catch (e) {
+      document.getElementById('profileStatus').textContent = 'Could not switch: ' + e.message;
+      return;
+    }
     await load();
   }
 
+  async function saveAsProfile() {
+    const name = document.getElementById('profileName').value.trim();
+    if (!name) {
+      document.getElementById('profileStatus').textContent = 'Enter a name for the profile first.';
+      return;
+    }
+    try {
+      // save the page without touching the profile that was active, then start the new one from it
+      await Settings.detachProfile();
+      await save();
+      await Settings.saveProfileAs(name);
+    } catch (e) {
+      if (e instanceof Settings.ProfileQuotaError) showProfileError(e);
+      else document.getElementById('profileStatus').textContent = 'Could not save the profile: ' + e.message;
+      return;
+    }
+    document.getElementById('profileName').value = '';
+    await renderProfiles();
+  }
+
+  async function deleteSelectedProfile() {
+    const name = document.getElementById('profileSelect').value;
+    if (!name || !confirm(`Delete the profile "${name}" in every synced browser? The current settings stay as they are.`)) return;
+    try {
+      await Settings.deleteProfile(name);
+    } catch (e) {
+      document.getElementById('profileStatus').textContent = 'Could not delete the profile: ' + e.message;
+      return;
+    }
+    await renderProfiles();
+  }
+
+  // The cache lives in the background script's IndexedDB; ask it for the numbers
+  async function showCacheStats() {
+    const statsEl = document.getElementById('cacheStats');
+    if (!statsEl) return;
+    try {
+      const stats = await browser.runtime.sendMessage({ type: 'cacheStats' });
+      statsEl.textContent = `Cache: ${stats.entries} entries (${stats.pinned} corrected) — approx ${Math.round(stats.bytes / 1024)} KB of ${Math.round(stats.maxBytes / 1024)} KB`;
+    } catch (e) {
+      statsEl.textContent = 'Cache: unavailable';
+    }
+  }
+
+  // ---- Cache inspector ----
+  function fillSelect(select, options, allLabel) {
+    const current = select.value;
+    select.innerHTML = '';
+    select.appendChild(el('option', { value: '' }, allLabel));
+    for (const o of options) select.appendChild(el('option', { value: o.value }, o.label));
+    // keep the filter when its value is still offered
+    select.value = options.some(o => o.value === current) ? current : '';
+  }
+
+  function createCacheRow(entry) {
+    const row = el('tr', entry.pinned ? { class: 'pinned' } : {});
+    const translation = el('td', { dir: 'auto' }, entry.translated);
+    const edit = el('button', { type: 'button' }, 'Correct');
+    const del = el('button', { type: 'button' }, 'Delete');
+    edit.addEventListener('click', async () => {
+      const area = translation.querySelector('textarea');
+      if (!area) {
+        const input = el('textarea', {});
+        input.value = entry.translated;
+        translation.textContent = '';
+        translation.appendChild(input);
+        edit.textContent = 'Save';
+        input.focus();
+        return;
+      }
+      const res = await browser.runtime.sendMessage({ type: 'cacheCorrect', key: entry.key, value: area.value });
+      if (res && res.ok) refreshCacheInspector();
+    });
+    del.addEventListener('click', async () => {
+      await browser.runtime.sendMessage({ type: 'cacheDelete', key: entry.key });
+      refreshCacheInspector();
+    });
+    row.appendChild(el('td', { dir: 'auto' }, entry.text));
+    row.appendChild(translation);
+    row.appendChild(el('td', {}, entry.target));
+    row.appendChild(el('td', {}, entry.providerLabel || entry.provider || '?'));
+    row.appendChild(el('td', {}, new Date(entry.accessed).toLocaleString()));
+    row.appendChild(el('td', {}, edit, del));
+    return row;
+  }
+
+  async function refreshCacheInspector() {
+    const table = document.getElementById('cacheEntries');
+    const targetSelect = document.getElementById('cacheTarget');
+    const providerSelect = document.getElementById('cacheProvider');
+    try {
+      const res = await browser.runtime.sendMessage({
+        type: 'cacheQuery',
+        search: document.getElementById('cacheSearch').value.trim(),
+        target: targetSelect.value,
+        provider: providerSelect.value
+      });
+      fillSelect(targetSelect, res.targets.map(t => ({ value: t, label: t })), 'All languages');
+      fillSelect(providerSelect, res.providers.map(p => ({ value: p.id, label: p.label })), 'All providers');
+      table.innerHTML = '';
+      table.appendChild(el('tr', {}, el('th', {}, 'Original'), el('th', {}, 'Translation'), el('th', {}, 'Lang'), el('th', {}, 'Provider'), el('th', {}, 'Last used'), el('th', {}, '')));
+      for (const entry of res.entries) table.appendChild(createCacheRow(entry));
+      document.getElementById('cacheSummary').textContent = res.total > res.entries.length
+        ? `Showing ${res.entries.length} of ${res.total} matching entries, most recently used first.`
+        : `${res.total} matching ${res.total === 1 ? 'entry' : 'entries'}.`;
+    } catch (e) {
+      table.innerHTML = '';
+      document.getElementById('cacheSummary').textContent = 'The cache is not available.';
+    }
+    showCacheStats();
+  }
+
   async function clearTranslationCache() {
     try {
-      await browser.storage.local.remove('translationCache');
+      await browser.runtime.sendMessage({ type: 'clearCache' });
       const s = document.createElement('span');
       s.textContent = 'Translation cache cleared.';
       s.style.marginLeft = '8px';
       document.getElementById('clearCache').after(s);
       setTimeout(() => s.remove(), 2000);
-      const statsEl = document.getElementById('cacheStats');
-      if (statsEl) statsEl.textContent = 'Cache: 0 entries — approx 0 KB';
+      refreshCacheInspector();
     } catch (e) {
       console.error('Failed to clear translation cache', e);
     }
@@ -122,52 +728,273 @@
 
   async function purgeExpiredCache() {
     try {
-      const res = await browser.storage.local.get(['translationCache','cacheTTLDays']);
-      const cache = res.translationCache || {};
-      const ttlDays = (typeof res.cacheTTLDays === 'number') ? res.cacheTTLDays : Number(document.getElementById('cacheTTLDays').value) || 30;
-      const now = Date.now();
-      const ttlMs = ttlDays * 24 * 60 * 60 * 1000;
-      let removed = 0;
-      for (const k of Object.keys(cache)) {
-        const entry = cache[k];
-        const ts = (entry && entry.t) ? entry.t : now;
-        if (ttlDays > 0 && (now - ts) > ttlMs) {
-          delete cache[k];
-          removed++;
-        }
-      }
-      await browser.storage.local.set({ translationCache: cache });
+      const { removed } = await browser.runtime.sendMessage({ type: 'purgeExpired' });
       const s = document.createElement('span');
       s.textContent = `Purged ${removed} expired entries.`;
       s.style.marginLeft = '8px';
       document.getElementById('purgeExpired').after(s);
       setTimeout(() => s.remove(), 2000);
-      // update stats
-      const keys = Object.keys(cache);
-      let bytes = 0;
-      for (const k of keys) {
-        const v = cache[k];
-        if (v && v.v) bytes += (v.v.length || 0);
-      }
-      const statsEl = document.getElementById('cacheStats');
-      if (statsEl) statsEl.textContent = `Cache: ${keys.length} entries — approx ${Math.round(bytes/1024)} KB`;
+      refreshCacheInspector();
     } catch (e) {
       console.error('Failed to purge expired cache', e);
     }
   }
 
+  // ---- Import / export ----
+  // everything but the local settings (API keys and headers); mappings are exported on their own
+  const EXPORTABLE_SETTING_KEYS = Settings.SYNCED_KEYS.filter(k => k !== 'mappings');
+  const EXPORT_FORMAT = 'xhebrew-export';
+  const CSV_COLUMNS = ['find', 'replace', 'enabled', 'wholeWord', 'ignoreCase', 'preserveCase', 'scope', 'group', 'attributes'];
+
+  function csvField(value) {
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  function mappingsToCsv(mappings) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const m of mappings) {
+      const rule = XHebrewEngine.normalizeRule(m);
+      lines.push(CSV_COLUMNS.map(c => csvField(rule[c])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // RFC 4180 parser: quoted fields may contain commas, quotes ("") and line breaks
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (quoted) throw new Error('Unterminated quoted field');
+    if (field !== '' || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f !== ''));
+  }
+
+  function csvToMappings(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) throw new Error('The file is empty');
+    const header = rows[0].map(h => h.trim());
+    if (!header.includes('find')) throw new Error('The CSV header must have a "find" column');
+    const bool = (v) => /^(true|1|yes)$/i.test(String(v).trim());
+    return rows.slice(1).map(r => {
+      const m = {};
+      header.forEach((h, i) => {
+        if (!CSV_COLUMNS.includes(h) || r[i] === undefined) return;
+        m[h] = (h === 'find' || h === 'replace' || h === 'scope' || h === 'group') ? r[i] : bool(r[i]);
+      });
+      return m;
+    });
+  }
+
+  // Check an imported file and split it into usable mappings, settings and problems
+  function validateImport(data) {
+    const problems = [];
+    if (!data || typeof data !== 'object' || !Array.isArray(data.mappings)) {
+      throw new Error('Expected an object with a "mappings" array');
+    }
+    if (data.format !== undefined && data.format !== EXPORT_FORMAT) throw new Error('Unknown format "' + data.format + '"');
+    const mappings = [];
+    data.mappings.forEach((m, i) => {
+      if (!m || typeof m.find !== 'string' || m.find === '') {
+        problems.push(`Entry ${i + 1}: missing "find", skipped`);
+        return;
+      }
+      if (m.replace !== undefined && typeof m.replace !== 'string') {
+        problems.push(`Entry ${i + 1} (${m.find}): "replace" is not text, skipped`);
+        return;
+      }
+      const rule = XHebrewEngine.normalizeRule(m);
+      const regexError = XHebrewEngine.getRegexError(rule.find, rule.ignoreCase);
+      if (regexError) problems.push(`Entry ${i + 1} (${m.find}): ${regexError}`);
+      mappings.push(rule);
+    });
+    const settings = {};
+    // exports from older versions are migrated like stored settings
+    const given = data.settings ? Settings.migrate(Object.assign({ settingsVersion: data.settingsVersion || 0 }, data.settings)) : {};
+    delete given.settingsVersion;
+    for (const k of Object.keys(given)) {
+      if (!EXPORTABLE_SETTING_KEYS.includes(k)) {
+        problems.push(`Setting "${k}" is not importable, ignored`);
+        continue;
+      }
+      if (Settings.isValidSetting(k, given[k])) settings[k] = Settings.cleanSetting(k, given[k]);
+      else problems.push(`Setting "${k}" has the wrong type or is out of range, ignored`);
+    }
+    return { mappings, settings, problems };
+  }
+
+  function sameRule(a, b) {
+    return CSV_COLUMNS.every(c => a[c] === b[c]);
+  }
+
+  // Merge by find key: identical rules are duplicates, differing ones are conflicts; the existing rule is kept either way
+  function mergeMappings(existing, imported) {
+    const result = existing.map(m => XHebrewEngine.normalizeRule(m));
+    const byFind = new Map(result.map(m => [m.find, m]));
+    const notes = [];
+    for (const rule of imported) {
+      const current = byFind.get(rule.find);
+      if (!current) {
+        result.push(rule);
+        byFind.set(rule.find, rule);
+      } else if (sameRule(current, rule)) {
+        notes.push(`Duplicate "${rule.find}", skipped`);
+      } else {
+        notes.push(`Conflict on "${rule.find}": kept "${current.replace}", imported "${rule.replace}" was skipped`);
+      }
+    }
+    return { mappings: result, notes };
+  }
+
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = el('a', { href: url, download: filename });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function exportJson() {
+    const data = { format: EXPORT_FORMAT, version: 1, exported: new Date().toISOString(), mappings: readMappings().filter(m => m.find !== '') };
+    if (document.getElementById('exportSettings').checked) {
+      const stored = await Settings.loadSettings();
+      data.settingsVersion = Settings.SCHEMA_VERSION;
+      data.settings = {};
+      for (const k of EXPORTABLE_SETTING_KEYS) data.settings[k] = stored[k];
+    }
+    download('xhebrew-mappings.json', 'application/json', JSON.stringify(data, null, 2));
+  }
+
+  function exportCsv() {
+    download('xhebrew-mappings.csv', 'text/csv', mappingsToCsv(readMappings().filter(m => m.find !== '')));
+  }
+
+  function showImportReport(lines, isError) {
+    const report = document.getElementById('importReport');
+    report.innerHTML = '';
+    report.style.color = isError ? '#c00' : '#333';
+    for (const line of lines) report.appendChild(el('li', {}, line));
+  }
+
+  async function importFile() {
+    const file = document.getElementById('importFile').files[0];
+    if (!file) {
+      showImportReport(['Choose a JSON or CSV file first.'], true);
+      return;
+    }
+    let parsed;
+    try {
+      const text = await file.text();
+      const isCsv = /\.csv$/i.test(file.name) || !/^\s*[{[]/.test(text);
+      const data = isCsv ? { mappings: csvToMappings(text) } : JSON.parse(text);
+      parsed = validateImport(Array.isArray(data) ? { mappings: data } : data);
+    } catch (e) {
+      showImportReport(['Import failed: ' + e.message], true);
+      return;
+    }
+    const mode = document.querySelector('input[name=importMode]:checked').value;
+    let mappings = parsed.mappings;
+    let notes = [];
+    if (mode === 'merge') ({ mappings, notes } = mergeMappings(readMappings().filter(m => m.find !== ''), parsed.mappings));
+    if (mappings.length === 0) {
+      // replacing the rules with none would leave only the default ones
+      showImportReport(['Import failed: the file has no usable rules, nothing was imported.'].concat(parsed.problems), true);
+      return;
+    }
+    let rejected = [];
+    _profileProblem = '';
+    try {
+      rejected = await Settings.saveSettings(Object.assign({}, parsed.settings, { mappings: mappings.map(m => XHebrewEngine.compactRule(m)) }));
+    } catch (e) {
+      parsed.problems.push('The profile could not be synced: ' + e.message);
+      showProfileError(e);
+    }
+    await load();
+    const settingCount = Object.keys(parsed.settings).filter(k => !rejected.includes(k)).length;
+    const summary = rejected.includes('mappings')
+      ? 'Import failed: the rules were not valid and were not saved.'
+      : `Imported ${parsed.mappings.length} rule${parsed.mappings.length === 1 ? '' : 's'} (${mode})` + (settingCount ? ` and ${settingCount} settings.` : '.');
+    const otherRejected = rejected.filter(k => k !== 'mappings');
+    if (otherRejected.length) parsed.problems.push('Not saved, out of range: ' + otherRejected.join(', ') + '.');
+    showImportReport([summary].concat(parsed.problems, notes), rejected.length > 0);
+  }
+
   document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('add').addEventListener('click', () => {
       document.getElementById('list').appendChild(createRow({ find: '', replace: '' }));
     });
     document.getElementById('save').addEventListener('click', save);
+    // validate and re-run the tester as rules are edited
+    const list = document.getElementById('list');
+    const onRuleEdit = (e) => {
+      const row = e.target.closest('.row');
+      if (row) validateRow(row);
+      updateTester();
+    };
+    list.addEventListener('input', onRuleEdit);
+    list.addEventListener('change', onRuleEdit);
+    list.addEventListener('change', (e) => {
+      if (e.target.classList.contains('group')) updateMappingGroups();
+    });
+    list.addEventListener('click', (e) => {
+      // a removed row no longer takes part in the tester or offers its group
+      if (e.target.nodeName === 'BUTTON') {
+        updateTester();
+        updateMappingGroups();
+      }
+    });
+    document.getElementById('testerSample').addEventListener('input', updateTester);
+    document.getElementById('testerScope').addEventListener('change', updateTester);
+    document.getElementById('runDiagnostics').addEventListener('click', runSelectorDiagnostics);
+    document.getElementById('policySearch').addEventListener('input', applyPolicySearch);
+    document.getElementById('switchProfile').addEventListener('click', switchToProfile);
+    document.getElementById('saveProfile').addEventListener('click', saveAsProfile);
+    document.getElementById('deleteProfile').addEventListener('click', deleteSelectedProfile);
+    document.getElementById('addPolicy').addEventListener('click', addPolicy);
+    document.getElementById('addGlossaryTerm').addEventListener('click', () => {
+      document.getElementById('glossaryForce').appendChild(createGlossaryRow({}));
+    });
+    document.getElementById('exportJson').addEventListener('click', exportJson);
+    document.getElementById('exportCsv').addEventListener('click', exportCsv);
+    document.getElementById('importButton').addEventListener('click', importFile);
     document.getElementById('reset').addEventListener('click', resetDefaults);
     const clearBtn = document.getElementById('clearCache');
     if (clearBtn) clearBtn.addEventListener('click', clearTranslationCache);
     const purgeBtn = document.getElementById('purgeExpired');
     if (purgeBtn) purgeBtn.addEventListener('click', purgeExpiredCache);
-    const useCloudEl = document.getElementById('useCloudTranslate');
-    if (useCloudEl) useCloudEl.addEventListener('change', () => {});
+    let cacheSearchTimer = null;
+    document.getElementById('cacheSearch').addEventListener('input', () => {
+      clearTimeout(cacheSearchTimer);
+      cacheSearchTimer = setTimeout(refreshCacheInspector, 200);
+    });
+    document.getElementById('cacheTarget').addEventListener('change', refreshCacheInspector);
+    document.getElementById('cacheProvider').addEventListener('change', refreshCacheInspector);
     const toggleBtn = document.getElementById('toggleShowKey');
     const keyInput = document.getElementById('googleApiKey');
     if (toggleBtn && keyInput) {
@@ -186,16 +1013,8 @@
       rotateBtn.addEventListener('click', async () => {
         const newKey = makeRandomKey();
         keyInput.value = newKey;
-        // immediately save new key without overwriting mappings
-        const translateEnabled = document.getElementById('translateEnabled').checked;
-        const translateTarget = document.getElementById('translateTarget').value || 'en';
-        const translateReplace = document.getElementById('translateReplace').checked;
-        const cacheMaxEntries = Number(document.getElementById('cacheMaxEntries').value) || 1000;
-        const cacheTTLDays = Number(document.getElementById('cacheTTLDays').value) || 30;
-        const useCloudTranslate = !!document.getElementById('useCloudTranslate').checked;
-        const res = await browser.storage.local.get('mappings');
-        const existingMappings = (res && Array.isArray(res.mappings)) ? res.mappings : [];
-        await browser.storage.local.set({ mappings: existingMappings, translateEnabled, translateTarget, translateReplace, cacheMaxEntries, cacheTTLDays, useCloudTranslate, googleApiKey: newKey });
+        // save the new key right away, leaving the other (maybe unsaved) settings alone
+        await Settings.saveSettings({ googleApiKey: newKey });
         const s = document.createElement('span');
         s.textContent = 'Key rotated and saved.';
         s.style.marginLeft = '8px';
@@ -203,6 +1022,6 @@
         setTimeout(() => s.remove(), 2000);
       });
     }
-    load();
+    load().then(addMappingFromUrl);
   });
 })();
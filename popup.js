@@ -0,0 +1,100 @@
+// Toolbar popup: controls for the current tab. Talks to the content script in that tab,
+// so a change applies right away; only "Save as default" writes to storage.
+(function () {
+  // Offered in the target picker; the saved target is added when it is not one of these
+  const TARGET_LANGUAGES = [
+    ['en', 'English'], ['fr', 'French'], ['de', 'German'], ['es', 'Spanish'], ['it', 'Italian'],
+    ['pt', 'Portuguese'], ['ru', 'Russian'], ['uk', 'Ukrainian'], ['ar', 'Arabic'], ['he', 'Hebrew'],
+    ['zh', 'Chinese'], ['ja', 'Japanese']
+  ];
+
+  let _tabId = null;
+
+  async function sendToTab(msg) {
+    return browser.tabs.sendMessage(_tabId, msg);
+  }
+
+  function renderTargets(state) {
+    const select = document.getElementById('target');
+    const codes = TARGET_LANGUAGES.map(l => l[0]);
+    select.innerHTML = '';
+    const languages = TARGET_LANGUAGES.slice();
+    for (const code of [state.savedTarget, state.target]) {
+      if (code && !codes.includes(code)) {
+        languages.push([code, code]);
+        codes.push(code);
+      }
+    }
+    for (const [code, label] of languages) {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = label + (code === state.savedTarget ? ' (default)' : '');
+      select.appendChild(option);
+    }
+    select.value = state.target;
+  }
+
+  function render(state) {
+    document.getElementById('controls').hidden = false;
+    document.getElementById('unavailable').hidden = true;
+    const active = document.getElementById('active');
+    active.checked = state.enabled && !state.paused;
+    active.disabled = !state.enabled;
+    document.getElementById('disabledNote').hidden = state.enabled;
+    renderTargets(state);
+    document.getElementById('translateNote').hidden = state.translateEnabled || state.transliterate;
+    document.getElementById('saveTarget').hidden = state.target === state.savedTarget;
+    renderStats(state.stats);
+  }
+
+  function renderStats(stats) {
+    document.getElementById('statTranslated').textContent = stats.translated;
+    document.getElementById('statReplacements').textContent = stats.replacements;
+  }
+
+  function showUnavailable() {
+    document.getElementById('controls').hidden = true;
+    document.getElementById('unavailable').hidden = false;
+  }
+
+  async function refresh() {
+    try {
+      render(await sendToTab({ type: 'xhebrewGetState' }));
+    } catch (e) {
+      // no content script in this tab (not an X page, or loaded before the extension)
+      showUnavailable();
+    }
+  }
+
+  async function saveTargetAsDefault() {
+    const target = document.getElementById('target').value;
+    await XHebrewSettings.saveSettings({ translateTarget: target });
+    // the saved target now is the tab's target, so drop the override
+    render(await sendToTab({ type: 'xhebrewSetTarget', target: null }));
+  }
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('active').addEventListener('change', async (e) => {
+      render(await sendToTab({ type: 'xhebrewSetPaused', paused: !e.target.checked }));
+    });
+    document.getElementById('target').addEventListener('change', async (e) => {
+      render(await sendToTab({ type: 'xhebrewSetTarget', target: e.target.value }));
+    });
+    document.getElementById('saveTarget').addEventListener('click', saveTargetAsDefault);
+    document.getElementById('openOptions').addEventListener('click', () => {
+      browser.runtime.openOptionsPage();
+      window.close();
+    });
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    _tabId = tab ? tab.id : null;
+    if (_tabId === null) showUnavailable();
+    else refresh();
+    // the counters keep going while the popup is open; leave the controls alone meanwhile
+    setInterval(async () => {
+      if (_tabId === null || document.getElementById('controls').hidden) return;
+      try {
+        renderStats((await sendToTab({ type: 'xhebrewGetState' })).stats);
+      } catch (e) {}
+    }, 1000);
+  });
+})();
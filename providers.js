@@ -0,0 +1,202 @@
+// Translation providers used by the background script. Loaded after settings.js and ratelimit.js, before background.js.
+//
+// A provider is an object with:
+//   id          - stable identifier stored in the `providerChain` setting
+//   label       - human readable name (shown on the options page)
+//   cachePrefix - prefix used for cache keys of translations produced by this provider
+//   rate        - { perSecond, burst } for the token bucket in front of the provider
+//   limits(cfg) -> { maxItems, maxChars, encoded } for one request; with `encoded` a text counts
+//                  with its URL-encoded length (GET requests), otherwise with its length
+//   isConfigured(cfg)               -> boolean, false skips the provider in the chain
+//   translate(texts, target, cfg, source) -> Promise<string[]> (same length as texts, '' for a miss);
+//                                   source is a language code or 'auto'
+// `translate` owns the request shape and response parsing for one chunk of texts. It throws an
+// XHebrewRateLimit.NetworkError when no answer came and an XHebrewRateLimit.HttpError on HTTP
+// errors, so the background script can retry or fall back to the next provider. Chunking, rate
+// limiting and retries happen there.
+
+// A GET URL longer than about 2000 characters is not safe with every server and proxy
+const GET_LIMITS = { maxItems: 50, maxChars: 1800, encoded: true };
+const POST_LIMITS = { maxItems: 50, maxChars: 5000, encoded: false };
+
+// the providerChain default, kept with the other settings in settings.js
+const DEFAULT_PROVIDER_CHAIN = XHebrewSettings.DEFAULTS.providerChain;
+
+const DEFAULT_HTTP_BODY_TEMPLATE = '{"q": "{{texts}}", "source": "{{source}}", "target": "{{target}}"}';
+
+async function fetchJson(url, init) {
+  let resp;
+  try {
+    resp = await fetch(url, init);
+  } catch (e) {
+    throw new XHebrewRateLimit.NetworkError(e);
+  }
+  if (!resp.ok) {
+    let detail = '';
+    try { detail = (await resp.text()).slice(0, 300); } catch (e) {}
+    throw new XHebrewRateLimit.HttpError(resp.status, XHebrewRateLimit.parseRetryAfter(resp.headers.get('Retry-After')), detail);
+  }
+  return resp.json();
+}
+
+// Read a value out of a JSON response by a dotted path. `[]` maps over an array,
+// e.g. `data.translations[].translatedText`.
+function readJsonPath(obj, path) {
+  if (!path) return obj;
+  const parts = path.split('.');
+  let cur = obj;
+  for (let i = 0; i < parts.length; i++) {
+    if (cur === null || cur === undefined) return undefined;
+    let part = parts[i];
+    const mapOver = part.endsWith('[]');
+    if (mapOver) part = part.slice(0, -2);
+    if (part) cur = cur[part];
+    if (mapOver) {
+      if (!Array.isArray(cur)) return undefined;
+      const rest = parts.slice(i + 1).join('.');
+      return cur.map(item => readJsonPath(item, rest));
+    }
+  }
+  return cur;
+}
+
+// Fill `{{texts}}`, `{{text}}`, `{{target}}` and `{{source}}` placeholders in a parsed JSON template.
+function fillJsonTemplate(node, vars) {
+  if (typeof node === 'string') {
+    if (node === '{{texts}}') return vars.texts;
+    if (node === '{{text}}') return vars.texts.join('\n');
+    return node.replace(/\{\{(target|source)\}\}/g, (m, name) => vars[name]);
+  }
+  if (Array.isArray(node)) return node.map(n => fillJsonTemplate(n, vars));
+  if (node && typeof node === 'object') {
+    const out = {};
+    for (const k of Object.keys(node)) out[k] = fillJsonTemplate(node[k], vars);
+    return out;
+  }
+  return node;
+}
+
+// Whether the public endpoint has answered a batch per text. It may answer one with every text
+// run together instead; from then on it gets one text per request.
+let _publicBatching = true;
+
+const googlePublicProvider = {
+  id: 'google-public',
+  label: 'Google Translate (public endpoint)',
+  cachePrefix: 'public',
+  rate: { perSecond: 2, burst: 4 },
+  limits() { return _publicBatching ? GET_LIMITS : Object.assign({}, GET_LIMITS, { maxItems: 1 }); },
+  isConfigured() { return true; },
+  async translate(texts, target, cfg, source) {
+    // Public translate_a endpoint: multiple q params and single tl
+    const base = 'https://translate.googleapis.com/translate_a/single?client=gtx&sl=' + encodeURIComponent(source || 'auto') + '&dt=t&tl=' + encodeURIComponent(target);
+    const qs = texts.map(t => '&q=' + encodeURIComponent(t)).join('');
+    const data = await fetchJson(base + qs, { method: 'GET' });
+    // data[0] should be an array of per-input arrays when multiple q provided
+    if (!Array.isArray(data) || !Array.isArray(data[0])) return [];
+    if (Array.isArray(data[0][0]) && Array.isArray(data[0][0][0]) && data[0].length === texts.length) {
+      return data[0].map(segArr => segArr.map(p => p[0]).join(''));
+    }
+    // A single text comes back as its list of sentence segments
+    if (texts.length === 1) return [data[0].map(p => p[0]).join('')];
+    // For a batch that shape is every text run together and cannot be split up: ask again per text
+    _publicBatching = false;
+    const results = [];
+    for (const text of texts) results.push((await googlePublicProvider.translate([text], target, cfg, source))[0] || '');
+    return results;
+  }
+};
+
+const googleCloudProvider = {
+  id: 'google-cloud',
+  label: 'Google Cloud Translate v2',
+  cachePrefix: 'cloud',
+  rate: { perSecond: 10, burst: 20 },
+  // v2 takes up to 128 q parameters per request
+  limits() { return Object.assign({}, GET_LIMITS, { maxItems: 128 }); },
+  isConfigured(cfg) { return !!cfg.googleApiKey; },
+  async translate(texts, target, cfg, source) {
+    // Cloud Translate v2 supports multiple q parameters; leaving out source means auto-detect
+    const params = new URLSearchParams();
+    for (const q of texts) params.append('q', q);
+    params.append('target', target);
+    if (source && source !== 'auto') params.append('source', source);
+    params.append('format', 'text');
+    const url = 'https://translation.googleapis.com/language/translate/v2?key=' + encodeURIComponent(cfg.googleApiKey) + '&' + params.toString();
+    const data = await fetchJson(url, { method: 'GET' });
+    if (data && data.data && Array.isArray(data.data.translations)) {
+      return data.data.translations.map(t => t.translatedText || '');
+    }
+    return [];
+  }
+};
+
+const libreTranslateProvider = {
+  id: 'libretranslate',
+  label: 'LibreTranslate',
+  cachePrefix: 'libre',
+  // public instances throttle hard
+  rate: { perSecond: 1, burst: 2 },
+  limits() { return POST_LIMITS; },
+  isConfigured(cfg) { return !!cfg.libreUrl; },
+  async translate(texts, target, cfg, source) {
+    // LibreTranslate accepts an array for q and answers with an array of translatedText
+    const url = cfg.libreUrl.replace(/\/+$/, '') + '/translate';
+    const body = { q: texts, source: source || 'auto', target, format: 'text' };
+    if (cfg.libreApiKey) body.api_key = cfg.libreApiKey;
+    const data = await fetchJson(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (data && Array.isArray(data.translatedText)) return data.translatedText.map(t => t || '');
+    if (data && typeof data.translatedText === 'string' && texts.length === 1) return [data.translatedText];
+    return [];
+  }
+};
+
+const httpJsonProvider = {
+  id: 'http-json',
+  label: 'Custom HTTP/JSON endpoint',
+  cachePrefix: 'http',
+  rate: { perSecond: 2, burst: 4 },
+  limits(cfg) { return (cfg.httpMethod || 'POST').toUpperCase() === 'GET' ? GET_LIMITS : POST_LIMITS; },
+  isConfigured(cfg) { return !!cfg.httpUrl; },
+  async translate(texts, target, cfg, source) {
+    const vars = { texts, target, source: source || 'auto' };
+    const method = (cfg.httpMethod || 'POST').toUpperCase();
+    let url = cfg.httpUrl.replace(/\{\{(target|source)\}\}/g, (m, name) => encodeURIComponent(vars[name]));
+    const headers = {};
+    if (cfg.httpHeaders) {
+      try { Object.assign(headers, JSON.parse(cfg.httpHeaders)); } catch (e) {}
+    }
+    const init = { method, headers };
+    if (method === 'GET') {
+      const params = new URLSearchParams();
+      for (const q of texts) params.append('q', q);
+      params.append('target', target);
+      params.append('source', vars.source);
+      url += (url.includes('?') ? '&' : '?') + params.toString();
+    } else {
+      const template = JSON.parse(cfg.httpBodyTemplate || DEFAULT_HTTP_BODY_TEMPLATE);
+      headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+      init.body = JSON.stringify(fillJsonTemplate(template, vars));
+    }
+    const data = await fetchJson(url, init);
+    const result = readJsonPath(data, cfg.httpResultPath || 'translations');
+    if (Array.isArray(result)) return result.map(t => (typeof t === 'string' ? t : ''));
+    if (typeof result === 'string' && texts.length === 1) return [result];
+    return [];
+  }
+};
+
+const TRANSLATION_PROVIDERS = {
+  [googlePublicProvider.id]: googlePublicProvider,
+  [googleCloudProvider.id]: googleCloudProvider,
+  [libreTranslateProvider.id]: libreTranslateProvider,
+  [httpJsonProvider.id]: httpJsonProvider
+};
+
+function getProvider(id) {
+  return TRANSLATION_PROVIDERS[id] || null;
+}
@@ -0,0 +1,241 @@
+// Request shaping for translation providers: chunking, a token-bucket rate limiter, retries
+// with exponential backoff and a circuit breaker. Shared by the background script and
+// bench/ (loaded as a plain script or via require).
+(function (root) {
+	// An HTTP error answer. retryAfterMs comes from the Retry-After header (null when absent),
+	// detail is the start of the response body, which often says what was wrong.
+	class HttpError extends Error {
+		constructor(status, retryAfterMs, detail) {
+			super('HTTP ' + status);
+			this.name = 'HttpError';
+			this.status = status;
+			this.retryAfterMs = retryAfterMs === undefined ? null : retryAfterMs;
+			this.detail = detail || '';
+		}
+	}
+
+	// The request never got an answer: fetch itself failed (offline, DNS, CORS, aborted).
+	// cause is the error fetch rejected with.
+	class NetworkError extends Error {
+		constructor(cause) {
+			super((cause && cause.message) || 'network error');
+			this.name = 'NetworkError';
+			this.cause = cause;
+		}
+	}
+
+	// Thrown instead of sending a request while the breaker is open
+	class CircuitOpenError extends Error {
+		constructor(retryInMs) {
+			super('paused after repeated errors, retrying in ' + Math.ceil(retryInMs / 1000) + 's');
+			this.name = 'CircuitOpenError';
+			this.retryInMs = retryInMs;
+		}
+	}
+
+	// Retry-After is either a number of seconds or an HTTP date. Returns milliseconds or null.
+	function parseRetryAfter(value, now) {
+		if (value === null || value === undefined || value === '') return null;
+		if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(Number(value) * 1000);
+		const date = Date.parse(value);
+		if (isNaN(date)) return null;
+		return Math.max(0, date - (now === undefined ? Date.now() : now));
+	}
+
+	// No answer came: fetch failed, was aborted or timed out
+	function isNetworkError(err) {
+		return !!err && (err instanceof NetworkError || err.name === 'AbortError' || err.name === 'TimeoutError');
+	}
+
+	// Network failures, throttling and server errors are worth retrying. Anything else (other 4xx
+	// answers, an answer that cannot be read, a bug) will not get better and fails at once.
+	function isRetryable(err) {
+		if (isNetworkError(err)) return true;
+		if (!err || typeof err.status !== 'number') return false;
+		return err.status === 408 || err.status === 429 || err.status >= 500;
+	}
+
+	// Split texts into chunks of at most limits.maxItems texts whose combined size, as given
+	// by measure(text), stays within limits.maxChars. A text that is too large on its own
+	// gets a chunk to itself. Returns arrays of indexes into texts.
+	function chunkTexts(texts, limits, measure) {
+		const maxItems = (limits && limits.maxItems) || Infinity;
+		const maxChars = (limits && limits.maxChars) || Infinity;
+		const size = measure || (t => t.length);
+		const chunks = [];
+		let current = [];
+		let used = 0;
+		texts.forEach((text, i) => {
+			const s = size(text);
+			if (current.length && (current.length >= maxItems || used + s > maxChars)) {
+				chunks.push(current);
+				current = [];
+				used = 0;
+			}
+			current.push(i);
+			used += s;
+		});
+		if (current.length) chunks.push(current);
+		return chunks;
+	}
+
+	// Token bucket: `perSecond` tokens are added per second up to `burst`. take() resolves
+	// once a token is available; callers are served in order.
+	function createTokenBucket(options) {
+		const opts = Object.assign({ perSecond: 2, burst: 4, now: () => Date.now(), sleep: ms => new Promise(r => setTimeout(r, ms)) }, options);
+		let tokens = opts.burst;
+		let updated = opts.now();
+		let queue = Promise.resolve();
+
+		function refill() {
+			const now = opts.now();
+			tokens = Math.min(opts.burst, tokens + (now - updated) / 1000 * opts.perSecond);
+			updated = now;
+		}
+
+		async function acquire() {
+			refill();
+			while (tokens < 1) {
+				await opts.sleep(Math.ceil((1 - tokens) / opts.perSecond * 1000));
+				refill();
+			}
+			tokens -= 1;
+		}
+
+		return {
+			take() {
+				const turn = queue.then(acquire);
+				queue = turn.catch(() => {});
+				return turn;
+			},
+			// hold everybody back, e.g. after the server asked to slow down
+			drain() {
+				refill();
+				tokens = Math.min(tokens, 0);
+			}
+		};
+	}
+
+	// Closed: requests pass. After `failureThreshold` retryable failures in a row (other errors
+	// say nothing about the provider's health and are not counted), or a throttling
+	// answer asking to wait `longThrottleMs` or more, it opens for `cooldownMs` (or the
+	// Retry-After if longer); shorter Retry-After waits are left to withRetry. Once that has
+	// passed, requests are let through again (half-open): a success closes the breaker, a
+	// failure opens it again with the cooldown doubled, up to `maxCooldownMs`.
+	function createCircuitBreaker(options) {
+		const opts = Object.assign({ failureThreshold: 3, cooldownMs: 30000, maxCooldownMs: 10 * 60 * 1000, longThrottleMs: 10000, now: () => Date.now() }, options);
+		let state = 'closed';
+		let failures = 0;
+		let openUntil = 0;
+		let cooldown = opts.cooldownMs;
+
+		function open(retryAfterMs) {
+			state = 'open';
+			openUntil = opts.now() + Math.max(cooldown, retryAfterMs || 0);
+		}
+
+		return {
+			get state() {
+				if (state === 'open' && opts.now() >= openUntil) return 'half-open';
+				return state;
+			},
+			// milliseconds until requests are allowed again, 0 when they are
+			retryIn() {
+				return state === 'open' ? Math.max(0, openUntil - opts.now()) : 0;
+			},
+			// throws CircuitOpenError while open; moves an expired open breaker to half-open
+			check() {
+				if (state !== 'open') return;
+				const wait = openUntil - opts.now();
+				if (wait > 0) throw new CircuitOpenError(wait);
+				state = 'half-open';
+			},
+			recordSuccess() {
+				state = 'closed';
+				failures = 0;
+				cooldown = opts.cooldownMs;
+			},
+			recordFailure(err) {
+				if (!isRetryable(err)) return;
+				if (state === 'half-open') {
+					cooldown = Math.min(opts.maxCooldownMs, cooldown * 2);
+					open(err && err.retryAfterMs);
+					return;
+				}
+				failures++;
+				const throttled = err && err.status === 429 && err.retryAfterMs >= opts.longThrottleMs;
+				if (throttled || failures >= opts.failureThreshold) open(err && err.retryAfterMs);
+			}
+		};
+	}
+
+	// Call fn until it succeeds, a non-retryable error comes back or `retries` retries are used up.
+	// The delay doubles from baseDelayMs (with jitter) and is never shorter than a Retry-After.
+	// onRetry(err, delayMs) is told before each wait and may return false to give up early,
+	// which throws err.
+	async function withRetry(fn, options) {
+		const opts = Object.assign({ retries: 3, baseDelayMs: 500, maxDelayMs: 30000, random: Math.random, sleep: ms => new Promise(r => setTimeout(r, ms)), onRetry: null }, options);
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await fn(attempt);
+			} catch (err) {
+				if (attempt >= opts.retries || !isRetryable(err)) throw err;
+				const backoff = Math.min(opts.maxDelayMs, opts.baseDelayMs * Math.pow(2, attempt));
+				const jittered = backoff / 2 + opts.random() * backoff / 2;
+				const delay = Math.max(jittered, (err && err.retryAfterMs) || 0);
+				if (opts.onRetry && opts.onRetry(err, delay) === false) throw err;
+				await opts.sleep(delay);
+			}
+		}
+	}
+
+	// Everything a provider needs in front of it: `limits` and `measure` for chunkTexts,
+	// `rate` for the token bucket, `retry` and `breaker` options. One guard per provider, so
+	// its state lasts across batches. run() can override the chunking per call.
+	function createProviderGuard(options) {
+		const opts = Object.assign({ limits: null, measure: null, rate: null, retry: null, breaker: null }, options);
+		const bucket = createTokenBucket(opts.rate);
+		const breaker = createCircuitBreaker(opts.breaker);
+
+		// Translate texts chunk by chunk with translateChunk(chunkTexts) -> Promise<string[]>.
+		// `chunking` is { limits, measure } when they differ from the guard's.
+		// Resolves to { results, errors }: one string per text ('' where its chunk failed) and
+		// the error of that chunk (null where it succeeded). While the breaker is open chunks
+		// are not sent and get a CircuitOpenError.
+		async function run(texts, translateChunk, chunking) {
+			const c = Object.assign({ limits: opts.limits, measure: opts.measure }, chunking);
+			const results = texts.map(() => '');
+			const errors = texts.map(() => null);
+			for (const chunk of chunkTexts(texts, c.limits, c.measure)) {
+				try {
+					breaker.check();
+					const out = await withRetry(async () => {
+						await bucket.take();
+						try {
+							const res = await translateChunk(chunk.map(i => texts[i]));
+							breaker.recordSuccess();
+							return res;
+						} catch (err) {
+							breaker.recordFailure(err);
+							if (err && err.status === 429) bucket.drain();
+							throw err;
+						}
+					}, Object.assign({}, opts.retry, {
+						// stop retrying once the breaker has opened, keeping the error that opened it
+						onRetry: () => breaker.state !== 'open'
+					}));
+					chunk.forEach((textIdx, j) => { results[textIdx] = (out && out[j]) || ''; });
+				} catch (err) {
+					chunk.forEach(textIdx => { errors[textIdx] = err; });
+				}
+			}
+			return { results, errors };
+		}
+
+		return { run, breaker, bucket };
+	}
+
+	const api = { HttpError, NetworkError, CircuitOpenError, parseRetryAfter, isNetworkError, isRetryable, chunkTexts, createTokenBucket, createCircuitBreaker, withRetry, createProviderGuard };
+	if (typeof module !== 'undefined' && module.exports) module.exports = api;
+	else root.XHebrewRateLimit = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
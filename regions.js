@@ -0,0 +1,147 @@
+// Content regions: the places on X where text worth translating shows up. Each region says how to
+// find its elements and which element inside holds the text. Shared by the content script and
+// the options page, which lists them with an on/off switch. The selectors themselves come from
+// the selector profile (selectors.js), passed in as `sel` ({ name: selector }).
+(function (root) {
+	// Leaf span with the visible text, skipping @handles and spans that only wrap other spans
+	function nameSpan(el) {
+		for (const span of el.querySelectorAll('span')) {
+			const text = span.textContent.trim();
+			if (!text || text.startsWith('@') || text === '·') continue;
+			if (span.querySelector('span')) continue;
+			return span;
+		}
+		return null;
+	}
+
+	// Status id from the timestamp permalink inside el, for keys that survive X re-creating elements
+	function statusId(el, sel) {
+		const time = el && el.querySelector(sel.statusTime);
+		const link = time && time.closest('a');
+		const m = link && /\/status\/(\d+)/.exec(link.getAttribute('href') || '');
+		return m ? m[1] : null;
+	}
+
+	// Checked in this order and an element belongs to the first region that matches it, so the
+	// narrower regions (quoted tweets, DMs) come before tweets, which share their markup.
+	//   selector    - name of the profile selector for elements of the region
+	//   textElement - the element holding the text, given a match and sel (the match itself when absent)
+	//   key         - stable key for the "show original" choice, given the text element, text and sel
+	//   inline      - the text sits in a line of its own (names, trends): translations are appended inline
+	const REGIONS = [
+		{
+			id: 'dm', label: 'Direct messages', enabled: true,
+			selector: 'dmText'
+		},
+		{
+			id: 'quote', label: 'Quoted tweets', enabled: true,
+			// the quoted tweet is a link-like box inside the quoting tweet
+			selector: 'quoteText',
+			key: (textEl, text, sel) => {
+				const id = statusId(textEl.closest(sel.quoteBox), sel);
+				return id ? 'status:' + id : 'quote:' + text;
+			}
+		},
+		{
+			id: 'tweet', label: 'Tweets', enabled: true,
+			selector: 'tweetText',
+			key: (textEl, text, sel) => {
+				const id = statusId(textEl.closest(sel.tweet), sel);
+				return id ? 'status:' + id : 'text:' + text;
+			}
+		},
+		{
+			id: 'bio', label: 'Profile bios', enabled: true,
+			selector: 'userDescription'
+		},
+		{
+			id: 'name', label: 'Display names', enabled: false, inline: true,
+			selector: 'userName',
+			textElement: nameSpan
+		},
+		{
+			id: 'card', label: 'Link card titles', enabled: true,
+			// the detail block of a card holds the domain, the title and a description
+			selector: 'cardDetail',
+			textElement: el => {
+				const lines = Array.from(el.children).filter(c => c.textContent.trim());
+				return lines.length > 1 ? lines[1] : lines[0] || null;
+			}
+		},
+		{
+			id: 'note', label: 'Community notes', enabled: true,
+			selector: 'note',
+			textElement: (el, sel) => el.querySelector(sel.noteText)
+		},
+		{
+			id: 'trend', label: 'Trends', enabled: false, inline: true,
+			// a trend row reads: context ("Trending in …"), the trend itself, then the post count
+			selector: 'trend',
+			textElement: (el, sel) => {
+				const lines = el.querySelectorAll(sel.trendLine);
+				return lines.length > 1 ? lines[1] : null;
+			}
+		}
+	];
+
+	// { regionId: true/false } with each region's default
+	const DEFAULT_REGIONS = {};
+	for (const region of REGIONS) DEFAULT_REGIONS[region.id] = region.enabled;
+
+	// Regions switched on in `settings` (stored translateRegions); missing ids take the default
+	function enabledRegions(settings) {
+		const s = settings || {};
+		return REGIONS.filter(r => (typeof s[r.id] === 'boolean') ? s[r.id] : r.enabled);
+	}
+
+	function textElementOf(region, match, sel) {
+		return region.textElement ? region.textElement(match, sel) : match;
+	}
+
+	// The region that owns textEl: the first in REGIONS with a match at or above it whose text
+	// element it is. Switched-off regions still own their text, so a quoted tweet never turns
+	// into a tweet when quoted tweets are off.
+	function regionOf(textEl, sel) {
+		for (const region of REGIONS) {
+			const match = textEl.closest(sel[region.selector]);
+			if (match && textElementOf(region, match, sel) === textEl) return region;
+		}
+		return null;
+	}
+
+	// Every { region, textEl } of the given regions in or at root, each text element once
+	function findRegionElements(root, regions, sel) {
+		const found = [];
+		const seen = new Set();
+		if (!root || !root.querySelectorAll) return found;
+		for (const region of regions) {
+			const selector = sel[region.selector];
+			const matches = Array.from(root.querySelectorAll(selector));
+			if (root.matches && root.matches(selector)) matches.unshift(root);
+			for (const match of matches) {
+				const textEl = textElementOf(region, match, sel);
+				if (!textEl || seen.has(textEl) || regionOf(textEl, sel) !== region) continue;
+				seen.add(textEl);
+				found.push({ region, textEl });
+			}
+		}
+		return found;
+	}
+
+	// { region, textEl } of the text of one of the given regions containing node, or null
+	function regionElementAt(node, regions, sel) {
+		const el = node && (node.nodeType === 1 ? node : node.parentElement);
+		if (!el) return null;
+		for (const region of regions) {
+			const match = el.closest(sel[region.selector]);
+			if (!match) continue;
+			const textEl = textElementOf(region, match, sel);
+			if (textEl && textEl.contains(el) && regionOf(textEl, sel) === region) return { region, textEl };
+		}
+		return null;
+	}
+
+	const api = { REGIONS, DEFAULT_REGIONS, enabledRegions, findRegionElements, regionElementAt };
+	if (typeof module !== 'undefined' && module.exports) module.exports = api;
+	else root.XHebrewRegions = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,72 @@
+// The selector profile: every CSS selector xhebrew uses to find things in X's markup, in one
+// place. X changes its markup now and then; the options page can override single selectors
+// until a new profile ships. Shared by the content script and the options page.
+(function (root) {
+	// Bumped whenever a default below changes, so overrides made against an older profile can be
+	// pointed out as possibly stale.
+	const PROFILE_VERSION = 1;
+
+	// essential: found on every timeline, so matching nothing there means the selector is broken
+	// within: the selector is only used inside elements of that other selector
+	const SELECTORS = [
+		{ name: 'tweet', label: 'Tweet container', selector: 'article[role="article"]', essential: true },
+		{ name: 'tweetText', label: 'Tweet text', selector: '[data-testid="tweetText"]', essential: true },
+		{ name: 'statusTime', label: 'Tweet timestamp (inside its permalink)', selector: 'a[href*="/status/"] time', within: 'tweet', essential: true },
+		{ name: 'quoteBox', label: 'Quoted tweet box', selector: '[role="link"]', within: 'tweet' },
+		// spells out tweet text again: when overriding tweetText, check this one as well
+		{ name: 'quoteText', label: 'Quoted tweet text', selector: 'article [role="link"] [data-testid="tweetText"]' },
+		{ name: 'userName', label: 'Display name and handle', selector: '[data-testid="User-Name"], [data-testid="UserName"]', essential: true },
+		{ name: 'userDescription', label: 'Profile bio', selector: '[data-testid="UserDescription"]' },
+		// the outermost text block of each message bubble
+		{ name: 'dmText', label: 'Direct message text', selector: '[data-testid="messageEntry"] div[dir="auto"]:not([data-testid="messageEntry"] div[dir="auto"] *)' },
+		{ name: 'cardDetail', label: 'Link card details', selector: '[data-testid="card.wrapper"] [data-testid$=".detail"]' },
+		{ name: 'note', label: 'Community note', selector: '[data-testid="birdwatch-pivot"]' },
+		{ name: 'noteText', label: 'Community note text (inside the note)', selector: '[lang], div[dir="auto"]', within: 'note' },
+		{ name: 'trend', label: 'Trend', selector: '[data-testid="trend"]' },
+		{ name: 'trendLine', label: 'Trend lines (inside the trend)', selector: 'div[dir="ltr"], div[dir="auto"]', within: 'trend' }
+	];
+
+	// name -> default selector
+	const DEFAULT_SELECTORS = {};
+	for (const s of SELECTORS) DEFAULT_SELECTORS[s.name] = s.selector;
+
+	// The SyntaxError message for a selector the browser cannot parse, '' when it is fine.
+	// Without a DOM (bench/) every selector passes.
+	function getSelectorError(selector) {
+		if (typeof document === 'undefined') return '';
+		try {
+			document.createDocumentFragment().querySelector(selector);
+			return '';
+		} catch (e) {
+			return e.message;
+		}
+	}
+
+	// Merge stored overrides ({ version, selectors: { name: selector } }, see the options page)
+	// into the profile. Unknown names and selectors that do not parse are left out.
+	// Returns { selectors, overridden, invalid: [{ name, selector, error }], stale }.
+	function resolveSelectors(overrides) {
+		const o = overrides || {};
+		const given = (o.selectors && typeof o.selectors === 'object') ? o.selectors : {};
+		const selectors = Object.assign({}, DEFAULT_SELECTORS);
+		const overridden = [];
+		const invalid = [];
+		for (const name of Object.keys(given)) {
+			const selector = typeof given[name] === 'string' ? given[name].trim() : '';
+			if (!(name in DEFAULT_SELECTORS) || !selector || selector === DEFAULT_SELECTORS[name]) continue;
+			const error = getSelectorError(selector);
+			if (error) {
+				invalid.push({ name, selector, error });
+				continue;
+			}
+			selectors[name] = selector;
+			overridden.push(name);
+		}
+		const stale = overridden.length > 0 && (o.version || 0) < PROFILE_VERSION;
+		return { selectors, overridden, invalid, stale };
+	}
+
+	const api = { PROFILE_VERSION, SELECTORS, DEFAULT_SELECTORS, getSelectorError, resolveSelectors };
+	if (typeof module !== 'undefined' && module.exports) module.exports = api;
+	else root.XHebrewSelectors = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,303 @@
+// Settings: every stored setting with its default and validation, the schema version with the
+// migrations that bring older installs up to it, and named profiles synced through storage.sync.
+// Shared by the background script, the content script, the options page and the popup.
+(function (root) {
+	// Bumped with every change to the stored format; MIGRATIONS brings older settings up to date
+	const SCHEMA_VERSION = 1;
+
+	const DEFAULT_MAPPINGS = [
+		{ find: 'Twitter', replace: 'X (Twitter)' },
+		{ find: 'hello', replace: 'שלום' }
+	];
+
+	const isStringList = v => v.every(item => typeof item === 'string');
+
+	// A rule that can be kept: the rest of its fields are filled in by XHebrewEngine.normalizeRule
+	function isUsableMapping(m) {
+		return !!m && typeof m === 'object' && typeof m.find === 'string' && m.find !== '' && (m.replace === undefined || typeof m.replace === 'string');
+	}
+
+	// Attributes mappings may rewrite: plain lowercase names, but none that holds a URL, script or
+	// style, nor the ones xhebrew sets itself (lang, dir) or X's markup relies on (id, class)
+	const UNMAPPABLE_ATTRIBUTES = ['action', 'class', 'dir', 'formaction', 'href', 'id', 'lang', 'src', 'srcdoc', 'srcset', 'style', 'value', 'xmlns'];
+
+	function isMappableAttribute(name) {
+		return typeof name === 'string' && /^[a-z][a-z0-9-]*$/.test(name) && !name.startsWith('on') && !UNMAPPABLE_ATTRIBUTES.includes(name);
+	}
+
+	// type: what the value must be ('array' for arrays), clean: drops the unusable parts of a value
+	// of that type, check: a further test on what is left.
+	// local: stays in this browser, never synced with a profile nor exported (API keys, headers).
+	// content: read by the content script; a change to one reconfigures open X tabs.
+	const SCHEMA = {
+		extensionEnabled: { default: true, type: 'boolean', content: true },
+		// a broken rule is dropped on its own; an empty list falls back to the defaults, as it always has
+		mappings: { default: DEFAULT_MAPPINGS, type: 'array', clean: v => v.filter(isUsableMapping), check: v => v.length > 0, content: true },
+		// rewritten by the mappings that have `attributes` set
+		mappingAttributes: { default: ['aria-label', 'title', 'alt', 'placeholder'], type: 'array', check: v => v.every(isMappableAttribute), content: true },
+		translateEnabled: { default: false, type: 'boolean', content: true },
+		translateTarget: { default: 'en', type: 'string', check: v => v.trim() !== '', content: true },
+		translateReplace: { default: true, type: 'boolean', content: true },
+		translateMarkup: { default: true, type: 'boolean', content: true },
+		detectLanguages: { default: ['he'], type: 'array', check: isStringList, content: true },
+		detectMinRatio: { default: 0.4, type: 'number', check: v => v > 0 && v <= 1, content: true },
+		transliterateEnabled: { default: false, type: 'boolean', content: true },
+		transliterateScheme: { default: 'simplified', type: 'string', check: v => v === 'simplified' || v === 'academic', content: true },
+		translateRegions: { default: {}, type: 'object', content: true },
+		selectorOverrides: { default: {}, type: 'object', content: true },
+		authorPolicies: { default: {}, type: 'object', content: true },
+		cacheMaxEntries: { default: 1000, type: 'number', check: v => v >= 1 },
+		cacheMaxBytes: { default: 5 * 1024 * 1024, type: 'number', check: v => v > 0 },
+		cacheTTLDays: { default: 30, type: 'number', check: v => v >= 0 },
+		providerChain: { default: ['google-public'], type: 'array', check: isStringList },
+		glossary: { default: {}, type: 'object' },
+		googleApiKey: { default: '', type: 'string', local: true },
+		libreUrl: { default: '', type: 'string' },
+		libreApiKey: { default: '', type: 'string', local: true },
+		httpUrl: { default: '', type: 'string' },
+		httpMethod: { default: 'POST', type: 'string', check: v => v === 'GET' || v === 'POST' },
+		httpHeaders: { default: '', type: 'string', local: true },
+		httpBodyTemplate: { default: '', type: 'string' },
+		httpResultPath: { default: '', type: 'string' }
+	};
+
+	const SETTING_KEYS = Object.keys(SCHEMA);
+	const SYNCED_KEYS = SETTING_KEYS.filter(k => !SCHEMA[k].local);
+	const LOCAL_KEYS = SETTING_KEYS.filter(k => SCHEMA[k].local);
+	const CONTENT_KEYS = SETTING_KEYS.filter(k => SCHEMA[k].content);
+	const DEFAULTS = {};
+	for (const key of SETTING_KEYS) DEFAULTS[key] = SCHEMA[key].default;
+
+	function copy(value) {
+		return (value && typeof value === 'object') ? JSON.parse(JSON.stringify(value)) : value;
+	}
+
+	function typeOf(value) {
+		return Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+	}
+
+	// value without the parts SCHEMA[key].clean drops; other values as they are
+	function cleanSetting(key, value) {
+		const spec = SCHEMA[key];
+		return (spec && spec.clean && typeOf(value) === spec.type) ? spec.clean(value) : value;
+	}
+
+	function isValidSetting(key, value) {
+		const spec = SCHEMA[key];
+		if (!spec) return false;
+		const cleaned = cleanSetting(key, value);
+		return typeOf(cleaned) === spec.type && (!spec.check || spec.check(cleaned));
+	}
+
+	// Every setting of SCHEMA: the valid ones from `values` (cleaned), defaults for the rest.
+	// Returns { settings, problems } where problems are the keys whose value was dropped.
+	function validateSettings(values) {
+		const settings = {};
+		const problems = [];
+		for (const key of SETTING_KEYS) {
+			const value = values ? cleanSetting(key, values[key]) : undefined;
+			if (value !== undefined && isValidSetting(key, value)) {
+				settings[key] = value;
+				continue;
+			}
+			settings[key] = copy(DEFAULTS[key]);
+			if (value !== undefined) problems.push(key);
+		}
+		return { settings, problems };
+	}
+
+	// Each migration takes the stored values of the version before it and returns them in its own
+	const MIGRATIONS = [
+		{
+			version: 1,
+			// Unversioned installs: the Cloud Translate checkbox was replaced by the provider chain
+			migrate(values) {
+				if (!Array.isArray(values.providerChain) && values.useCloudTranslate !== undefined) {
+					values.providerChain = values.useCloudTranslate ? ['google-cloud', 'google-public'] : copy(DEFAULTS.providerChain);
+				}
+				delete values.useCloudTranslate;
+				return values;
+			}
+		}
+	];
+	// keys migrations replaced, removed from storage once migrated
+	const OBSOLETE_KEYS = ['useCloudTranslate'];
+	const STORED_KEYS = SETTING_KEYS.concat(['settingsVersion'], OBSOLETE_KEYS);
+
+	// Bring stored values, with the settingsVersion they were written with, up to SCHEMA_VERSION
+	function migrate(stored) {
+		let values = Object.assign({}, stored);
+		const from = typeof values.settingsVersion === 'number' ? values.settingsVersion : 0;
+		for (const m of MIGRATIONS) {
+			if (m.version > from) values = m.migrate(values);
+		}
+		values.settingsVersion = Math.max(from, SCHEMA_VERSION);
+		return values;
+	}
+
+	// The settings of this browser, migrated and validated
+	async function loadSettings() {
+		return validateSettings(migrate(await browser.storage.local.get(STORED_KEYS))).settings;
+	}
+
+	// Write the migrated settings back to storage.local; the background does this at startup.
+	// Resolves to true when something was migrated.
+	async function migrateStoredSettings() {
+		const stored = await browser.storage.local.get(STORED_KEYS);
+		if (stored.settingsVersion >= SCHEMA_VERSION) return false;
+		const values = migrate(stored);
+		const write = { settingsVersion: values.settingsVersion };
+		for (const key of SETTING_KEYS) if (values[key] !== undefined) write[key] = values[key];
+		await browser.storage.local.set(write);
+		const obsolete = OBSOLETE_KEYS.filter(k => stored[k] !== undefined);
+		if (obsolete.length) await browser.storage.local.remove(obsolete);
+		return true;
+	}
+
+	// Store the valid ones of `values` and update the active profile with them.
+	// Resolves to the keys that were rejected.
+	async function saveSettings(values) {
+		const write = { settingsVersion: SCHEMA_VERSION };
+		const rejected = [];
+		for (const key of Object.keys(values)) {
+			if (isValidSetting(key, values[key])) write[key] = cleanSetting(key, values[key]);
+			else rejected.push(key);
+		}
+		await browser.storage.local.set(write);
+		if (SYNCED_KEYS.some(k => k in write)) await syncActiveProfile();
+		return rejected;
+	}
+
+	// Every setting back to its default, except the local ones: API keys are kept
+	function resetSettings() {
+		const values = {};
+		for (const key of SYNCED_KEYS) values[key] = copy(DEFAULTS[key]);
+		return saveSettings(values);
+	}
+
+	// Profiles are named sets of the synced settings, kept in storage.sync. PROFILE_INDEX_KEY holds
+	// { name: { version, updated, chunks } } and each profile's settings are stored as JSON split
+	// over `chunks` items, as a single sync item may not be larger than 8 KB. Which profile is
+	// active is up to each browser (storage.local activeProfile); saving settings updates it.
+	const PROFILE_INDEX_KEY = 'profiles';
+	const PROFILE_CHUNK_CHARS = 2000;
+
+	// storage.sync refused a profile for its size: it holds about 100 KB in all, 8 KB per item
+	class ProfileQuotaError extends Error {
+		constructor(name, bytes) {
+			super('The profile "' + name + '" (' + Math.ceil(bytes / 1024) + ' KB) does not fit in the synced storage, which holds about 100 KB for all profiles. Remove rules or other profiles and try again.');
+			this.name = 'ProfileQuotaError';
+		}
+	}
+
+	function chunkKey(name, i) {
+		return 'profile:' + name + ':' + i;
+	}
+
+	async function listProfiles() {
+		return (await browser.storage.sync.get(PROFILE_INDEX_KEY))[PROFILE_INDEX_KEY] || {};
+	}
+
+	// The synced settings of a profile, migrated and validated; null when there is no such profile
+	async function readProfile(name) {
+		const entry = (await listProfiles())[name];
+		if (!entry) return null;
+		const keys = [];
+		for (let i = 0; i < entry.chunks; i++) keys.push(chunkKey(name, i));
+		const items = await browser.storage.sync.get(keys);
+		const json = keys.map(k => items[k] || '').join('');
+		const stored = Object.assign(JSON.parse(json || '{}'), { settingsVersion: entry.version });
+		const settings = validateSettings(migrate(stored)).settings;
+		const synced = {};
+		for (const key of SYNCED_KEYS) synced[key] = settings[key];
+		return synced;
+	}
+
+	async function writeProfile(name, settings, updated) {
+		const values = {};
+		for (const key of SYNCED_KEYS) if (settings[key] !== undefined) values[key] = settings[key];
+		const json = JSON.stringify(values);
+		const index = await listProfiles();
+		const previous = index[name];
+		const items = {};
+		let chunks = 0;
+		for (let at = 0; at < json.length; at += PROFILE_CHUNK_CHARS) items[chunkKey(name, chunks++)] = json.slice(at, at + PROFILE_CHUNK_CHARS);
+		index[name] = { version: SCHEMA_VERSION, updated, chunks };
+		items[PROFILE_INDEX_KEY] = index;
+		try {
+			await browser.storage.sync.set(items);
+		} catch (e) {
+			// Chromium names the quota (QUOTA_BYTES, QUOTA_BYTES_PER_ITEM), Firefox says "quota"
+			if (/quota/i.test((e && e.message) || '')) throw new ProfileQuotaError(name, json.length);
+			throw e;
+		}
+		const stale = [];
+		for (let i = chunks; previous && i < previous.chunks; i++) stale.push(chunkKey(name, i));
+		if (stale.length) await browser.storage.sync.remove(stale);
+	}
+
+	async function getActiveProfile() {
+		return (await browser.storage.local.get('activeProfile')).activeProfile || '';
+	}
+
+	// Save this browser's settings as profile `name` and make it the active one
+	async function saveProfileAs(name) {
+		const updated = Date.now();
+		// profileApplied tells the background that this change to the profile came from here
+		await browser.storage.local.set({ activeProfile: name, profileApplied: updated });
+		await writeProfile(name, await loadSettings(), updated);
+	}
+
+	// Replace this browser's settings with those of profile `name` (local ones stay) and make it active
+	async function switchProfile(name) {
+		const settings = await readProfile(name);
+		if (!settings) throw new Error('There is no profile "' + name + '"');
+		const entry = (await listProfiles())[name];
+		await browser.storage.local.set(Object.assign({ settingsVersion: SCHEMA_VERSION, activeProfile: name, profileApplied: entry.updated }, settings));
+	}
+
+	// Stop following a profile; the settings stay as they are
+	function detachProfile() {
+		return browser.storage.local.set({ activeProfile: '' });
+	}
+
+	async function deleteProfile(name) {
+		const index = await listProfiles();
+		const entry = index[name];
+		if (!entry) return;
+		delete index[name];
+		await browser.storage.sync.set({ [PROFILE_INDEX_KEY]: index });
+		const keys = [];
+		for (let i = 0; i < entry.chunks; i++) keys.push(chunkKey(name, i));
+		await browser.storage.sync.remove(keys);
+		if (await getActiveProfile() === name) await detachProfile();
+	}
+
+	// After settings were saved here: copy them into the active profile, if there is one
+	async function syncActiveProfile() {
+		const name = await getActiveProfile();
+		if (!name) return;
+		await saveProfileAs(name);
+	}
+
+	// storage.sync changed, maybe by another browser: take over the active profile's new settings.
+	// Changes this browser made itself are recognised by their profileApplied time.
+	async function applyProfileChanges(changes) {
+		if (!changes[PROFILE_INDEX_KEY]) return false;
+		const name = await getActiveProfile();
+		const entry = name && (changes[PROFILE_INDEX_KEY].newValue || {})[name];
+		if (!entry) return false;
+		const { profileApplied } = await browser.storage.local.get('profileApplied');
+		if (entry.updated === profileApplied) return false;
+		await switchProfile(name);
+		return true;
+	}
+
+	const api = {
+		SCHEMA_VERSION, SCHEMA, ProfileQuotaError, SETTING_KEYS, SYNCED_KEYS, LOCAL_KEYS, CONTENT_KEYS, DEFAULTS, DEFAULT_MAPPINGS,
+		isValidSetting, cleanSetting, isMappableAttribute, validateSettings, migrate, loadSettings, migrateStoredSettings, saveSettings, resetSettings,
+		listProfiles, readProfile, getActiveProfile, saveProfileAs, switchProfile, detachProfile, deleteProfile, applyProfileChanges
+	};
+	if (typeof module !== 'undefined' && module.exports) module.exports = api;
+	else root.XHebrewSettings = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
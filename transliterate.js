@@ -0,0 +1,188 @@
+// Offline Hebrew-to-Latin transliteration. No network: everything is table driven.
+// Shared by the content script and the options page (loaded as a plain script or via require).
+(function (root) {
+	const SCHEMES = ['simplified', 'academic'];
+
+	// Consonants: [simplified, academic]. Letters whose sound depends on dagesh (bet, kaf, pe)
+	// list the hard and soft sounds separately.
+	const CONSONANTS = {
+		'א': ['', 'ʾ'],
+		'ב': { hard: ['b', 'b'], soft: ['v', 'v'] },
+		'ג': ['g', 'g'],
+		'ד': ['d', 'd'],
+		'ה': ['h', 'h'],
+		'ו': ['v', 'w'],
+		'ז': ['z', 'z'],
+		'ח': ['kh', 'ḥ'],
+		'ט': ['t', 'ṭ'],
+		'י': ['y', 'y'],
+		'כ': { hard: ['k', 'k'], soft: ['kh', 'ḵ'] },
+		'ך': { hard: ['k', 'k'], soft: ['kh', 'ḵ'] },
+		'ל': ['l', 'l'],
+		'מ': ['m', 'm'],
+		'ם': ['m', 'm'],
+		'נ': ['n', 'n'],
+		'ן': ['n', 'n'],
+		'ס': ['s', 's'],
+		'ע': ['', 'ʿ'],
+		'פ': { hard: ['p', 'p'], soft: ['f', 'f'] },
+		'ף': { hard: ['p', 'p'], soft: ['f', 'f'] },
+		'צ': ['ts', 'ṣ'],
+		'ץ': ['ts', 'ṣ'],
+		'ק': ['k', 'q'],
+		'ר': ['r', 'r'],
+		'ש': ['sh', 'š'],
+		'ת': ['t', 't']
+	};
+
+	// Letters followed by a geresh (׳ or an apostrophe) for sounds Hebrew borrowed
+	const GERESH = {
+		'ג': ['j', 'ǧ'],
+		'ז': ['zh', 'ž'],
+		'צ': ['ch', 'č'],
+		'ץ': ['ch', 'č'],
+		'ת': ['th', 'ṯ'],
+		'ד': ['dh', 'ḏ'],
+		'ח': ['kh', 'ḫ']
+	};
+
+	// Niqqud vowel points: [simplified, academic]
+	const VOWELS = {
+		'\u05B0': ['', 'ə'], // shva
+		'\u05B1': ['e', 'ĕ'], // hataf segol
+		'\u05B2': ['a', 'ă'], // hataf patah
+		'\u05B3': ['o', 'ŏ'], // hataf kamatz
+		'\u05B4': ['i', 'i'], // hiriq
+		'\u05B5': ['e', 'ē'], // tsere
+		'\u05B6': ['e', 'e'], // segol
+		'\u05B7': ['a', 'a'], // patah
+		'\u05B8': ['a', 'ā'], // kamatz
+		'\u05B9': ['o', 'ō'], // holam
+		'\u05BA': ['o', 'ō'], // holam for vav
+		'\u05BB': ['u', 'u'], // kubutz
+		'\u05C7': ['o', 'o'] // kamatz katan
+	};
+
+	const DAGESH = '\u05BC';
+	const SIN_DOT = '\u05C2';
+	const HOLAM = '\u05B9';
+	const HOLAM_VAV = '\u05BA';
+	const HIRIQ = '\u05B4';
+	const GERESH_MARKS = ['׳', "'", '’'];
+	const PUNCTUATION = { '־': '-', '׃': ':', '״': '"' };
+
+	const HEBREW_LETTER_RE = /[א-ת]/;
+	// combining points; maqaf, paseq and sof pasuq in the same block are punctuation
+	const MARK_RE = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/;
+	// cantillation, meteg and the other points that carry no sound
+	const CANTILLATION_RE = /[\u0591-\u05AF\u05BD\u05BF\u05C4\u05C5]/;
+
+	// Split text into clusters of a base character and the combining marks that follow it.
+	// A geresh after a letter that takes one is folded into that letter's cluster.
+	function clusters(text) {
+		const out = [];
+		for (const ch of text) {
+			const last = out[out.length - 1];
+			if (MARK_RE.test(ch) && last && HEBREW_LETTER_RE.test(last.base)) {
+				if (!CANTILLATION_RE.test(ch)) last.marks += ch;
+			} else if (GERESH_MARKS.includes(ch) && last && GERESH[last.base] && !last.geresh) {
+				last.geresh = true;
+			} else {
+				out.push({ base: ch, marks: '', geresh: false });
+			}
+		}
+		return out;
+	}
+
+	function pick(pair, scheme) {
+		return pair[scheme === 'academic' ? 1 : 0];
+	}
+
+	function vowelOf(marks, scheme) {
+		for (const ch of marks) if (VOWELS[ch]) return pick(VOWELS[ch], scheme);
+		return null;
+	}
+
+	function isLetter(c) {
+		return !!c && HEBREW_LETTER_RE.test(c.base);
+	}
+
+	// Transliterate the Hebrew in text; everything else is copied as is.
+	// Text without niqqud gets best-effort vowels from matres lectionis (vav and yod).
+	function transliterate(text, scheme) {
+		if (!SCHEMES.includes(scheme)) scheme = SCHEMES[0];
+		const cs = clusters(text || '');
+		let out = '';
+		for (let i = 0; i < cs.length; i++) {
+			const c = cs[i];
+			const prev = cs[i - 1];
+			const next = cs[i + 1];
+			if (!isLetter(c)) {
+				out += PUNCTUATION[c.base] !== undefined ? PUNCTUATION[c.base] : c.base;
+				continue;
+			}
+			const wordStart = !isLetter(prev);
+			const wordEnd = !isLetter(next);
+			const pointed = c.marks !== '';
+			const vowel = vowelOf(c.marks, scheme);
+			const hasDagesh = c.marks.includes(DAGESH);
+
+			// ג׳ ז׳ צ׳ ...
+			if (c.geresh) {
+				out += pick(GERESH[c.base], scheme) + (vowel || '');
+				continue;
+			}
+
+			if (c.base === 'ו') {
+				if (c.marks.includes(HOLAM) || c.marks.includes(HOLAM_VAV)) { out += pick(VOWELS[HOLAM], scheme); continue; }
+				if (hasDagesh && !vowel) { out += 'u'; continue; }
+				// double vav is a consonant v
+				if (next && next.base === 'ו' && !next.marks) { out += pick(CONSONANTS['ו'], scheme) + (vowel || ''); i++; continue; }
+				if (!pointed && !wordStart) { out += 'o'; continue; }
+				out += pick(CONSONANTS['ו'], scheme) + (vowel || '');
+				continue;
+			}
+
+			if (c.base === 'י') {
+				// yod after hiriq, or unpointed inside a word, is the vowel i
+				if (!pointed && prev && prev.marks.includes(HIRIQ)) continue;
+				if (next && next.base === 'י' && !next.marks) { out += 'y' + (vowel || ''); i++; continue; }
+				if (!pointed && !wordStart && !wordEnd) { out += 'i'; continue; }
+				if (!pointed && wordEnd && !wordStart) { out += 'i'; continue; }
+				out += 'y' + (vowel || '');
+				continue;
+			}
+
+			if ((c.base === 'א' || c.base === 'ע') && wordStart && !pointed && scheme !== 'academic') {
+				// an unpointed word-initial alef or ayin usually carries an a, unless a vowel letter follows
+				if (!next || (next.base !== 'ו' && next.base !== 'י')) out += 'a';
+				continue;
+			}
+
+			if (c.base === 'ה' && wordEnd && !wordStart && !pointed) {
+				// final he is usually a silent vowel letter
+				out += scheme === 'academic' ? 'h' : 'a';
+				continue;
+			}
+
+			let consonant;
+			if (c.base === 'ש') {
+				consonant = c.marks.includes(SIN_DOT) ? (scheme === 'academic' ? 'ś' : 's') : pick(CONSONANTS['ש'], scheme);
+			} else {
+				const entry = CONSONANTS[c.base];
+				if (Array.isArray(entry)) consonant = pick(entry, scheme);
+				else {
+					// unpointed text: bet/kaf/pe are hard at the start of a word
+					const hard = pointed ? hasDagesh : wordStart;
+					consonant = pick(hard ? entry.hard : entry.soft, scheme);
+				}
+			}
+			out += consonant + (vowel || '');
+		}
+		return out;
+	}
+
+	const api = { SCHEMES, transliterate };
+	if (typeof module !== 'undefined' && module.exports) module.exports = api;
+	else root.XHebrewTransliterate = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -1,243 +1,950 @@
-// Content script: replace text nodes using mappings from browser.storage.local
+// Content script: replace text nodes using the mappings in the settings (settings.js) and translate tweets
 (function () {
     // ...existing code...
     console.log('xhebrew content script loaded on', location.href);
     // ...existing code...
-	const DEFAULTS = [
-		{ find: "Twitter", replace: "X (Twitter)" },
-		{ find: "hello", replace: "שלום" }
-	];
+	// Settings come from settings.js, compileScopedMappings/applyCompiled from engine.js,
+	// detectSourceLanguage/languageDirection from detect.js, transliterate from transliterate.js, the selector profile
+	// from selectors.js and the region registry from regions.js, all loaded before this script
+	const { compileScopedMappings, compileAttributeMappings, applyCompiled, normalizeRule, stripIsolates } = XHebrewEngine;
+	const { detectSourceLanguage, languageDirection } = XHebrewDetect;
+	const { transliterate } = XHebrewTransliterate;
+	const { PROFILE_VERSION, SELECTORS, DEFAULT_SELECTORS, resolveSelectors } = XHebrewSelectors;
+	const { REGIONS, enabledRegions, findRegionElements, regionElementAt } = XHebrewRegions;
+
+	// The translation part of the config, from validated settings (see settings.js)
+	function translateConfig(settings) {
+		return {
+			enabled: settings.translateEnabled,
+			target: settings.translateTarget,
+			replace: settings.translateReplace,
+			markup: settings.translateMarkup,
+			detection: { languages: settings.detectLanguages, minRatio: settings.detectMinRatio },
+			// local transliteration instead of translation; never touches the network
+			transliterate: settings.transliterateEnabled,
+			scheme: settings.transliterateScheme,
+			// content regions to translate, see regions.js
+			regions: enabledRegions(settings.translateRegions)
+		};
+	}
 
 	// Default translation settings
-	const DEFAULT_TRANSLATE = {
-		enabled: false,
-		target: 'en',
-		replace: true
-	};
+	const DEFAULT_TRANSLATE = translateConfig(XHebrewSettings.DEFAULTS);
+
+	// What xhebrew did in this tab, for the popup
+	const _stats = { translated: 0, replacements: 0 };
+
+	// text node -> { original, applied } for every node we rewrote, so replacements can be undone.
+	// A WeakMap keeps detached nodes collectable; revertReplacements walks the live DOM instead.
+	let _replacedNodes = new WeakMap();
+
+	// element -> { attributeName: { original, applied } } for the attributes we rewrote, the same way
+	let _replacedAttributes = new WeakMap();
 
-	function isRegexString(s) {
-		return typeof s === 'string' && s.length >= 2 && s[0] === '/' && s.lastIndexOf('/') > 0;
+	// Which rule scope an element falls in: tweet text, a display name or the rest of the page
+	function getElementScope(el) {
+		if (!el) return 'page';
+		const sel = currentSelectors();
+		if (el.closest(sel.tweetText)) return 'tweet';
+		if (el.closest(sel.userName)) return 'names';
+		return 'page';
 	}
 
-	function makeMatcher(find) {
-		if (!find) return null;
-		if (isRegexString(find)) {
-			const lastSlash = find.lastIndexOf('/');
-			const pattern = find.slice(1, lastSlash);
-			const flags = find.slice(lastSlash + 1);
-			try {
-				return new RegExp(pattern, flags.includes('g') ? flags : flags + 'g');
-			} catch (e) {
-				return null;
-			}
-		}
-		// escape for literal replacement via split/join
-		return { literal: find };
+	function getNodeScope(node) {
+		return getElementScope(node.parentElement);
 	}
 
-	function replaceInTextNode(node, mappings) {
+	// `scoped` is the output of compileScopedMappings for the current config; `policies` is the
+	// lookup cache of the walk the node is part of (see authorPolicyFor)
+	function replaceInTextNode(node, scoped, policies) {
 		if (!node || !node.nodeValue) return;
 		let text = node.nodeValue;
-		let newText = text;
-		for (const m of mappings) {
-			if (!m || !m.find) continue;
-			const matcher = makeMatcher(m.find);
-			const replacement = m.replace ?? '';
-			if (!matcher) continue;
-			if (matcher.literal !== undefined) {
-				// simple literal replace
-				if (matcher.literal === '') continue;
-				newText = newText.split(matcher.literal).join(replacement);
-			} else {
-				newText = newText.replace(matcher, replacement);
+		// already rewritten and untouched by the page since: don't apply the mappings twice
+		const record = _replacedNodes.get(node);
+		if (record && record.applied === text) return;
+		// an author policy may limit the tweet to some mapping groups
+		const policy = _config && _config.policies.restrictsMappings ? authorPolicyFor(node.parentElement, policies) : null;
+		const rules = (policy && policy.scoped) || scoped;
+		// replacements running the other way than the text they replace are bidi-isolated
+		const newText = applyCompiled(rules[getNodeScope(node)], text, _stats, { isolate: true });
+		if (newText !== text) {
+			_replacedNodes.set(node, { original: text, applied: newText });
+			node.nodeValue = newText;
+		}
+	}
+
+	// Restore every text node under root that still shows our replacement
+	function revertReplacements(root) {
+		if (!root) return;
+		const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+		let n;
+		while (n = walker.nextNode()) {
+			const record = _replacedNodes.get(n);
+			if (record && n.nodeValue === record.applied) n.nodeValue = record.original;
+		}
+		_replacedNodes = new WeakMap();
+	}
+
+	// Rewrite one allowlisted attribute of el with the attribute rules of its scope
+	function replaceInAttribute(el, name, policies) {
+		const value = el.getAttribute(name);
+		if (!value || !value.trim()) return;
+		let records = _replacedAttributes.get(el);
+		// already rewritten and untouched by the page since
+		if (records && records[name] && records[name].applied === value) return;
+		const policy = _config.policies.restrictsMappings ? authorPolicyFor(el, policies) : null;
+		const rules = (policy && policy.attributeScoped) || _config.attributes.scoped;
+		// no bidi isolates here: tooltips and screen readers would show or read them as stray characters
+		const newValue = applyCompiled(rules[getElementScope(el)], value, _stats);
+		if (newValue === value) return;
+		if (!records) _replacedAttributes.set(el, records = {});
+		records[name] = { original: value, applied: newValue };
+		el.setAttribute(name, newValue);
+	}
+
+	function replaceAttributesIn(root) {
+		if (!root || root.nodeType !== Node.ELEMENT_NODE) return;
+		const { names, selector } = _config.attributes;
+		const elements = Array.from(root.querySelectorAll(selector));
+		if (root.matches(selector)) elements.unshift(root);
+		const policies = new Map();
+		for (const el of elements) {
+			for (const name of names) replaceInAttribute(el, name, policies);
+		}
+	}
+
+	// Put back every attribute under root that still holds our replacement. Runs before the config
+	// changes, so the selector is the one the attributes were rewritten under.
+	function revertAttributes(root) {
+		const attributes = _config && _config.attributes;
+		if (root && attributes) {
+			for (const el of root.querySelectorAll(attributes.selector)) {
+				const records = _replacedAttributes.get(el);
+				if (!records) continue;
+				for (const name of Object.keys(records)) {
+					if (el.getAttribute(name) === records[name].applied) el.setAttribute(name, records[name].original);
+				}
 			}
 		}
-		if (newText !== text) node.nodeValue = newText;
+		_replacedAttributes = new WeakMap();
 	}
 
-	function walkAndReplace(root, mappings) {
+	function isReplaceableTextNode(node) {
+		if (!node.parentNode) return false;
+		const parentName = node.parentNode.nodeName;
+		if (["SCRIPT", "STYLE", "NOSCRIPT", "IFRAME", "OBJECT", "VIDEO"].includes(parentName)) return false;
+		if (node.parentNode.closest && node.parentNode.closest('.xhebrew-toggle, .xhebrew-status, .xhebrew-tooltip')) return false;
+		// never rewrite what the user is typing (compose box, search field)
+		if (node.parentElement && node.parentElement.isContentEditable) return false;
+		if (!node.nodeValue || !node.nodeValue.trim()) return false;
+		return true;
+	}
+
+	function walkAndReplace(root, scoped) {
 		if (!root) return;
+		if (root.nodeType === Node.TEXT_NODE) {
+			if (isReplaceableTextNode(root)) replaceInTextNode(root, scoped);
+			return;
+		}
 		const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
 			acceptNode(node) {
-				if (!node.parentNode) return NodeFilter.FILTER_REJECT;
-				const parentName = node.parentNode.nodeName;
-				if (["SCRIPT", "STYLE", "NOSCRIPT", "IFRAME", "OBJECT", "VIDEO"].includes(parentName)) return NodeFilter.FILTER_REJECT;
-				if (!node.nodeValue || !node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
-				return NodeFilter.FILTER_ACCEPT;
+				return isReplaceableTextNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
 			}
 		});
 
 		const nodes = [];
 		let n;
 		while (n = walker.nextNode()) nodes.push(n);
-		for (const tn of nodes) replaceInTextNode(tn, mappings);
+		const policies = new Map();
+		for (const tn of nodes) replaceInTextNode(tn, scoped, policies);
+	}
+
+	// storage keys that affect the content script (see settings.js); a change to any of them reconfigures open tabs
+	const CONFIG_KEYS = XHebrewSettings.CONTENT_KEYS;
+
+	function buildConfig(settings) {
+		const mappings = settings.mappings;
+		return {
+			enabled: settings.extensionEnabled,
+			mappings,
+			scoped: compileScopedMappings(mappings),
+			attributes: attributeConfig(settings.mappingAttributes, mappings),
+			translate: translateConfig(settings),
+			selectors: resolveSelectors(settings.selectorOverrides).selectors,
+			policies: compileAuthorPolicies(settings.authorPolicies, mappings)
+		};
+	}
+
+	// The attributes to rewrite and the rules that opt in to that; null when either list is empty
+	function attributeConfig(names, mappings) {
+		const wanted = mappings.some(m => {
+			const rule = normalizeRule(m);
+			return rule.find && rule.enabled && rule.attributes;
+		});
+		if (!wanted || !names.length) return null;
+		return { names, selector: names.map(n => '[' + n + ']').join(','), scoped: compileAttributeMappings(mappings) };
 	}
 
 	async function loadConfig() {
 		try {
-			const res = await browser.storage.local.get(['mappings','translateEnabled','translateTarget','translateReplace','useCloudTranslate','googleApiKey']);
-			const mappings = (res && Array.isArray(res.mappings) && res.mappings.length) ? res.mappings : DEFAULTS;
-			const translate = {
-				enabled: !!res.translateEnabled,
-				target: (res.translateTarget || DEFAULT_TRANSLATE.target),
-				replace: (res.translateReplace === undefined) ? DEFAULT_TRANSLATE.replace : !!res.translateReplace,
-				useCloud: !!res.useCloudTranslate,
-				apiKey: (res.googleApiKey || '')
-			};
-			return { mappings, translate };
+			return buildConfig(await XHebrewSettings.loadSettings());
 		} catch (e) {
-			return { mappings: DEFAULTS, translate: DEFAULT_TRANSLATE };
+			return buildConfig(XHebrewSettings.DEFAULTS);
+		}
+	}
+
+	// Author policies from the options page (stored authorPolicies, by lowercase handle). Policies
+	// limited to some mapping groups get their own compiled mappings.
+	// Returns { byHandle: Map(handle -> { translate, target, scoped, attributeScoped }), restrictsMappings, alwaysTranslates }.
+	function compileAuthorPolicies(stored, mappings) {
+		const byHandle = new Map();
+		for (const handle of Object.keys(stored || {})) {
+			const p = stored[handle] || {};
+			const groups = Array.isArray(p.groups) ? p.groups : null;
+			const allowed = groups ? mappings.filter(m => groups.includes(normalizeRule(m).group)) : null;
+			byHandle.set(handle.toLowerCase(), {
+				translate: (p.translate === 'always' || p.translate === 'never') ? p.translate : 'default',
+				target: typeof p.target === 'string' ? p.target.trim() : '',
+				scoped: allowed ? compileScopedMappings(allowed) : null,
+				attributeScoped: allowed ? compileAttributeMappings(allowed) : null
+			});
 		}
+		const policies = Array.from(byHandle.values());
+		return { byHandle, restrictsMappings: policies.some(p => p.scoped), alwaysTranslates: policies.some(p => p.translate === 'always') };
+	}
+
+	// The tweet, or the quoted tweet inside it, el is part of; null outside tweets
+	function getAuthorScope(el) {
+		const sel = currentSelectors();
+		const tweet = el && el.closest(sel.tweet);
+		if (!tweet) return null;
+		const quote = el.closest(sel.quoteBox);
+		return (quote && tweet.contains(quote) && quote.querySelector(sel.userName)) ? quote : tweet;
+	}
+
+	// Handle of the account that posted the tweet (or quoted tweet) scope, lowercase and without the @
+	function getAuthorHandle(scope) {
+		const name = scope.querySelector(currentSelectors().userName);
+		if (!name) return null;
+		for (const span of name.querySelectorAll('span')) {
+			const m = /^@(\w+)$/.exec(span.textContent.trim());
+			if (m) return m[1].toLowerCase();
+		}
+		// the display name links to the profile, /handle
+		const link = name.querySelector('a[href^="/"]');
+		const m = link && /^\/(\w+)/.exec(link.getAttribute('href'));
+		return m ? m[1].toLowerCase() : null;
+	}
+
+	// The author policy of the tweet el is in, or null. A walk over many nodes passes a Map of
+	// its own, so the handle is read once per tweet rather than once per node.
+	function authorPolicyFor(el, cache) {
+		if (!_config || !_config.policies.byHandle.size) return null;
+		const scope = getAuthorScope(el);
+		if (!scope) return null;
+		if (cache && cache.has(scope)) return cache.get(scope);
+		const handle = getAuthorHandle(scope);
+		const policy = (handle && _config.policies.byHandle.get(handle)) || null;
+		if (cache) cache.set(scope, policy);
+		return policy;
+	}
+
+	// The selector profile in effect: the defaults with the overrides from the options page
+	function currentSelectors() {
+		return (_config && _config.selectors) || DEFAULT_SELECTORS;
 	}
 
-	// Simple Hebrew detection: presence of a Hebrew-range codepoint
-	function containsHebrew(s) {
-		return /[\u0590-\u05FF]/.test(s);
+	// Same primary language, e.g. "en" and "en-GB": nothing to translate
+	function isSameLanguage(a, b) {
+		return a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
 	}
 
-	// Translation service is provided by the background service worker.
+	// Translation service is provided by the background script.
 	// Content script requests translations via runtime messaging so the API key stays in the background.
-	async function translateText(text, target) {
-		if (!text || !target) return '';
-		try {
-			const resp = await browser.runtime.sendMessage({ type: 'translate', text: text, target: target });
-			if (resp && typeof resp.translated === 'string') return resp.translated;
-		} catch (e) {
-			// fall through
-		}
-		return '';
-	}
-
-	// WeakMap to remember which tweet elements we've translated (to avoid repeat)
-	const _translatedTweets = new WeakMap();
-
-	// Find the tweet container element for a given node (closest ancestor that looks like a tweet)
-	function findTweetContainer(node) {
-		if (!node || !node.closest) return null;
-		// Prefer article[role="article"] or elements with data-testid containing "tweet"
-		const article = node.closest('article[role="article"]');
-		if (article) return article;
-		const byTestId = node.closest('[data-testid]');
-		if (byTestId && /tweet/i.test(byTestId.getAttribute('data-testid'))) return byTestId;
-		// fallback: closest ARTICLE tag
-		const art = node.closest('article');
-		if (art) return art;
-		return null;
-	}
-
-	// Find the primary tweet text element inside a tweet container
-	function findTweetTextElement(container) {
-		if (!container) return null;
-		// Common selector used on Twitter/X
-		let el = container.querySelector('[data-testid="tweetText"]');
-		if (el) return el;
-		// fallback to first element with a lang attribute (the tweet text often has lang)
-		el = container.querySelector('[lang]');
-		if (el) return el;
-		// last resort: first paragraph/span inside article
-		el = container.querySelector('div > div > span, p, div');
-		return el;
+	// Resolves to { translated, providerLabel, status, reason }; translated is '' on failure and
+	// status says why (see classifyError in background.js), or is 'cancelled'.
+	// options: { force } retries a text that failed recently; { requestId } allows cancelTranslation.
+	async function translateText(text, target, source, options) {
+		if (!text || !target) return { translated: '', providerLabel: '', status: 'failed', reason: 'Nothing to translate' };
+		const opts = options || {};
+		const msg = { type: 'translate', text: text, target: target, source: source || 'auto', force: !!opts.force, requestId: opts.requestId };
+		// a background stopped while it worked on the request fails the message; asking again starts it
+		for (let attempt = 0; attempt < 2; attempt++) {
+			try {
+				const resp = await browser.runtime.sendMessage(msg);
+				if (resp && typeof resp.translated === 'string') {
+					return { translated: resp.translated, providerLabel: resp.providerLabel || '', status: resp.status || 'failed', reason: resp.reason || '' };
+				}
+				break;
+			} catch (e) {
+				// fall through
+			}
+		}
+		return { translated: '', providerLabel: '', status: 'failed', reason: 'The extension did not answer' };
+	}
+
+	// WeakMap to remember which region text elements we've translated (to avoid repeat); failed ones
+	// are remembered too (with failed: true and when) and asked for again through Retry, or once
+	// FAILED_RETRY_MS has passed and the tweet is processed again
+	let _translatedTexts = new WeakMap();
+	// as long as the background holds on to a failure before sending the text again
+	const FAILED_RETRY_MS = 60 * 1000;
+	// region text element -> { text, target, requestId } of the translation request in flight
+	let _pendingTexts = new WeakMap();
+	let _requestCounter = 0;
+
+	// Withdraw translation requests the background has not sent to a provider yet
+	function cancelTranslation(requestIds) {
+		if (!requestIds.length) return;
+		browser.runtime.sendMessage({ type: 'cancelTranslate', requestIds: requestIds }).catch(() => {});
+	}
+
+	// Markup-aware translation: only prose text runs are sent to the translator. Links,
+	// emoji images and @mentions/#hashtags/$cashtags/URLs are swapped for [[n]] placeholders
+	// and put back around the translated text, so clickable entities keep working.
+	const ENTITY_TEXT_RE = /(https?:\/\/\S+|[@#$][\p{L}\p{N}_]+)/gu;
+	const PLACEHOLDER_RE = /\[\[\s*(\d+)\s*\]\]/g;
+
+	function buildTranslationModel(textEl) {
+		const model = { source: '', entities: [], proseWrapper: null };
+		function addEntity(node) {
+			model.source += '[[' + model.entities.length + ']]';
+			model.entities.push(node);
+		}
+		function visit(node) {
+			if (node.nodeType === Node.TEXT_NODE) {
+				const parts = node.nodeValue.split(ENTITY_TEXT_RE);
+				for (let i = 0; i < parts.length; i++) {
+					if (!parts[i]) continue;
+					// split() with a capture group puts the matched entities at odd indexes
+					if (i % 2 === 1) addEntity(document.createTextNode(parts[i]));
+					else {
+						// the bidi isolates of mapped text are ours, not the author's: translators get the text without them
+						model.source += stripIsolates(parts[i]);
+						if (!model.proseWrapper && node.parentElement !== textEl && parts[i].trim()) model.proseWrapper = node.parentElement;
+					}
+				}
+				return;
+			}
+			if (node.nodeType !== Node.ELEMENT_NODE) return;
+			if (node.classList.contains('xhebrew-translation')) return;
+			if (node.nodeName === 'BR') { model.source += '\n'; return; }
+			if (node.nodeName === 'A' || node.nodeName === 'IMG' || node.nodeName === 'svg') {
+				addEntity(node.cloneNode(true));
+				return;
+			}
+			for (const child of node.childNodes) visit(child);
+		}
+		for (const child of textEl.childNodes) visit(child);
+		return model;
+	}
+
+	// Build a fragment from the translated string, putting the entities back at their placeholders.
+	// Entities the translator dropped are appended at the end rather than lost.
+	function buildTranslatedFragment(model, translated) {
+		const frag = document.createDocumentFragment();
+		const used = new Set();
+		function addText(text) {
+			if (!text) return;
+			const t = document.createTextNode(text);
+			if (model.proseWrapper) {
+				const wrap = model.proseWrapper.cloneNode(false);
+				wrap.appendChild(t);
+				frag.appendChild(wrap);
+			} else {
+				frag.appendChild(t);
+			}
+		}
+		let last = 0;
+		let m;
+		PLACEHOLDER_RE.lastIndex = 0;
+		while ((m = PLACEHOLDER_RE.exec(translated))) {
+			addText(translated.slice(last, m.index));
+			const idx = Number(m[1]);
+			const entity = model.entities[idx];
+			if (entity && !used.has(idx)) {
+				frag.appendChild(entity.cloneNode(true));
+				used.add(idx);
+			}
+			last = m.index + m[0].length;
+		}
+		addText(translated.slice(last));
+		model.entities.forEach((entity, idx) => {
+			if (used.has(idx)) return;
+			addText(' ');
+			frag.appendChild(entity.cloneNode(true));
+		});
+		return frag;
+	}
+
+	// Text of a region as it is sent for translation, ignoring our own appended translation block
+	function getSourceText(textEl, translateCfg) {
+		if (translateCfg.markup) return buildTranslationModel(textEl).source.trim();
+		const existing = textEl.querySelector('.xhebrew-translation');
+		if (!existing) return textEl.innerText && stripIsolates(textEl.innerText).trim();
+		const copy = textEl.cloneNode(true);
+		copy.querySelector('.xhebrew-translation').remove();
+		return stripIsolates(copy.textContent).trim();
 	}
 
 	// Append a small element with the translation (preserve original formatting)
-	function appendTranslationElement(tweetTextEl, translated) {
-		if (!tweetTextEl || !translated) return;
+	// `translated` may be a string or a DocumentFragment from buildTranslatedFragment.
+	// inline: on the same line, for one-line regions such as names
+	// lang: language of the translation; the block gets its direction, whatever the original's is
+	function appendTranslationElement(textEl, translated, inline, lang) {
+		if (!textEl || !translated) return;
 		// Check if we've already appended a translation for this target text
-		const existing = tweetTextEl.querySelector('.xhebrew-translation');
-		if (existing) {
-			existing.textContent = translated;
-			return existing;
-		}
-		const wrap = document.createElement('div');
-		wrap.className = 'xhebrew-translation';
-		wrap.style.color = '#444';
-		wrap.style.fontSize = '90%';
-		wrap.style.marginTop = '6px';
-		wrap.textContent = translated;
-		tweetTextEl.appendChild(wrap);
+		let wrap = textEl.querySelector('.xhebrew-translation');
+		if (!wrap) {
+			wrap = createControl('xhebrew-translation', inline);
+			wrap.style.color = '#444';
+			wrap.style.fontSize = '90%';
+			if (!inline) wrap.style.marginTop = '6px';
+			textEl.appendChild(wrap);
+		}
+		wrap.setAttribute('lang', lang);
+		wrap.setAttribute('dir', languageDirection(lang));
+		wrap.replaceChildren(translated);
 		return wrap;
 	}
 
-	async function handleTweetElement(container, mappings, translateCfg) {
-		if (!container) return;
-		// apply mappings within container first
-		walkAndReplace(container, mappings);
+	// A text replaced by its translation takes the translation's lang and dir. X marks tweet text
+	// with the language it detected (lang="he", dir="auto"), which would otherwise keep an English
+	// translation right-aligned and hyphenated as Hebrew. The original values are kept in
+	// data-xhebrew-original-lang/-dir ('' when there was none) for restoreTextLanguage.
+	const LANGUAGE_ATTRIBUTES = ['lang', 'dir'];
+
+	function setTextLanguage(textEl, lang) {
+		for (const name of LANGUAGE_ATTRIBUTES) {
+			if (!textEl.hasAttribute('data-xhebrew-original-' + name)) textEl.setAttribute('data-xhebrew-original-' + name, textEl.getAttribute(name) || '');
+		}
+		textEl.setAttribute('lang', lang);
+		textEl.setAttribute('dir', languageDirection(lang));
+	}
 
-		if (!translateCfg || !translateCfg.enabled) return;
+	function restoreTextLanguage(textEl) {
+		for (const name of LANGUAGE_ATTRIBUTES) {
+			const saved = 'data-xhebrew-original-' + name;
+			if (!textEl.hasAttribute(saved)) continue;
+			const value = textEl.getAttribute(saved);
+			if (value) textEl.setAttribute(name, value);
+			else textEl.removeAttribute(name);
+			textEl.removeAttribute(saved);
+		}
+	}
 
-		const textEl = findTweetTextElement(container);
-		if (!textEl) return;
-		const text = textEl.innerText && textEl.innerText.trim();
+	// Our blocks go on their own line under the text, or next to it for inline regions
+	function createControl(className, inline) {
+		const el = document.createElement(inline ? 'span' : 'div');
+		el.className = className;
+		if (inline) el.style.marginLeft = '6px';
+		return el;
+	}
+
+	// Which view ('original' or 'translation') the user picked for a text. Keyed by the region's key
+	// (the tweet id for tweets) rather than by element, since X re-creates elements while scrolling.
+	const _toggleStates = new Map();
+	// region text element -> { key, replace, inline, lang, content, originalNodes, shownNodes, providerLabel } for the toggle control.
+	// shownNodes are the nodes of the translation while it is shown in place of the original.
+	let _translations = new WeakMap();
+
+	// Stable key for a region text: what the region says, or the region and the source text
+	function getTextKey(region, textEl, text) {
+		return region.key ? region.key(textEl, text, currentSelectors()) : region.id + ':' + text;
+	}
+
+	// Whether textEl shows the translation we put in place of its text. The observer reports that
+	// write like any other, and mappings may have rewritten the translation since, so this goes by
+	// the nodes rather than by their text; X re-rendering the tweet brings new nodes.
+	function showsOwnTranslation(textEl) {
+		const info = _translations.get(textEl);
+		if (!info || !info.replace || !info.shownNodes) return false;
+		const nodes = textEl.childNodes;
+		return nodes.length === info.shownNodes.length && info.shownNodes.every((node, i) => nodes[i] === node);
+	}
+
+	function showOriginal(textEl, info) {
+		if (info.replace) {
+			// put the very same nodes back so replacements inside them can still be reverted
+			if (info.originalNodes) textEl.replaceChildren(...info.originalNodes);
+			else textEl.innerHTML = textEl.getAttribute('data-xhebrew-original') || '';
+			restoreTextLanguage(textEl);
+			info.shownNodes = null;
+		} else {
+			const block = textEl.querySelector('.xhebrew-translation');
+			if (block) block.style.display = 'none';
+		}
+	}
+
+	function showTranslation(textEl, info) {
+		if (info.replace) {
+			textEl.replaceChildren(info.content.cloneNode(true));
+			setTextLanguage(textEl, info.lang);
+			info.shownNodes = Array.from(textEl.childNodes);
+		} else {
+			const block = textEl.querySelector('.xhebrew-translation');
+			if (block) block.style.display = '';
+		}
+	}
+
+	function toggleTranslation(textEl) {
+		const info = _translations.get(textEl);
+		if (!info) return;
+		const next = _toggleStates.get(info.key) === 'original' ? 'translation' : 'original';
+		_toggleStates.set(info.key, next);
+		if (next === 'original') showOriginal(textEl, info);
+		else showTranslation(textEl, info);
+		renderToggle(textEl, info);
+	}
+
+	// Inline "Show original / Show translation" control, placed right after the text
+	function renderToggle(textEl, info) {
+		let ctrl = textEl.nextElementSibling;
+		if (!ctrl || !ctrl.classList.contains('xhebrew-toggle')) {
+			ctrl = createControl('xhebrew-toggle', info.inline);
+			ctrl.setAttribute('role', 'button');
+			ctrl.setAttribute('tabindex', '0');
+			ctrl.style.color = '#1d9bf0';
+			ctrl.style.fontSize = '85%';
+			if (!info.inline) ctrl.style.marginTop = '4px';
+			ctrl.style.cursor = 'pointer';
+			// the tweet (or profile, card…) itself navigates on click, so keep the event to ourselves
+			ctrl.addEventListener('click', (e) => {
+				e.preventDefault();
+				e.stopPropagation();
+				toggleTranslation(textEl);
+			});
+			ctrl.addEventListener('keydown', (e) => {
+				if (e.key !== 'Enter' && e.key !== ' ') return;
+				e.preventDefault();
+				e.stopPropagation();
+				toggleTranslation(textEl);
+			});
+			textEl.after(ctrl);
+		}
+		const by = info.providerLabel ? 'Translated by ' + info.providerLabel : 'Translated';
+		ctrl.textContent = by + ' · ' + (_toggleStates.get(info.key) === 'original' ? 'Show translation' : 'Show original');
+	}
+
+	// What the status line under a text says while a translation is pending or after it failed
+	const STATUS_TEXT = {
+		pending: 'Translating…',
+		throttled: 'Translation paused: the provider is rate limiting',
+		auth: 'Translation failed: the API key was rejected',
+		network: 'Translation failed: the provider could not be reached',
+		unsupported: 'Translation failed: the provider does not support this language',
+		failed: 'Translation failed'
+	};
+
+	// Status line placed right after the text, like the toggle. onRetry adds a Retry action.
+	function renderStatus(textEl, status, reason, onRetry, inline) {
+		let line = textEl.nextElementSibling;
+		if (!line || !line.classList.contains('xhebrew-status')) {
+			line = createControl('xhebrew-status', inline);
+			line.style.fontSize = '85%';
+			if (!inline) line.style.marginTop = '4px';
+			textEl.after(line);
+		}
+		line.setAttribute('data-status', status);
+		line.style.color = status === 'pending' ? '#536471' : '#f4212e';
+		line.textContent = (STATUS_TEXT[status] || STATUS_TEXT.failed) + (reason ? ' (' + reason + ')' : '');
+		if (onRetry) {
+			const retry = document.createElement('span');
+			retry.setAttribute('role', 'button');
+			retry.setAttribute('tabindex', '0');
+			retry.style.color = '#1d9bf0';
+			retry.style.cursor = 'pointer';
+			retry.textContent = 'Retry';
+			// the tweet itself navigates on click, so keep the event to ourselves
+			const activate = (e) => {
+				if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+				e.preventDefault();
+				e.stopPropagation();
+				onRetry();
+			};
+			retry.addEventListener('click', activate);
+			retry.addEventListener('keydown', activate);
+			line.append(' · ', retry);
+		}
+	}
+
+	function clearStatus(textEl) {
+		const line = textEl.nextElementSibling;
+		if (line && line.classList.contains('xhebrew-status')) line.remove();
+	}
+
+	// Translate the text element of a region. Every region shares the batching in the background
+	// and the display modes (replace or append, markup, show original).
+	async function handleRegionElement(textEl, region, translateCfg, force) {
+		if (!textEl || !textEl.isConnected) return;
+		// our own translation written in place is not a new text to translate
+		if (showsOwnTranslation(textEl)) return;
+		// the author's policy decides first: never, always (whatever the settings and the detection say) or another target
+		const policy = authorPolicyFor(textEl);
+		if (policy && policy.translate === 'never') return;
+		const always = !!policy && policy.translate === 'always';
+		if (!translateCfg || (!translateCfg.enabled && !translateCfg.transliterate && !always)) return;
+		const target = (policy && policy.target) || translateCfg.target;
+
+		const model = translateCfg.markup ? buildTranslationModel(textEl) : null;
+		const text = model ? model.source.trim() : getSourceText(textEl, translateCfg);
 		if (!text) return;
-		if (!containsHebrew(text)) return;
+		// transliteration only applies to Hebrew-script languages, whatever the translation sources are
+		const detected = translateCfg.transliterate
+			? detectSourceLanguage(text, { languages: ['he', 'yi'], minRatio: translateCfg.detection.minRatio })
+			: detectSourceLanguage(text, translateCfg.detection);
+		if (!detected && (translateCfg.transliterate || !always)) return;
+		if (!translateCfg.transliterate && detected && isSameLanguage(detected.lang, target)) return;
+		const outputKey = translateCfg.transliterate ? 'translit:' + translateCfg.scheme : target;
+		// a transliteration is the source language in Latin letters
+		const outputLang = translateCfg.transliterate ? detected.lang + '-Latn' : target;
 
-		const last = _translatedTweets.get(container);
-		if (last && last.text === text && last.target === translateCfg.target) return;
+		const last = _translatedTexts.get(textEl);
+		if (last && last.text === text && last.target === outputKey && !force && !(last.failed && Date.now() - last.at >= FAILED_RETRY_MS)) return;
+		const pending = _pendingTexts.get(textEl);
+		if (pending && pending.text === text && pending.target === outputKey) return;
 
-		const translated = await translateText(text, translateCfg.target);
-		if (!translated) return;
+		const inline = !!region.inline;
+		const generation = _configGeneration;
+		let result;
+		if (translateCfg.transliterate) {
+			result = { translated: transliterate(text, translateCfg.scheme), providerLabel: 'xhebrew (' + translateCfg.scheme + ' transliteration)' };
+		} else {
+			const requestId = String(++_requestCounter);
+			_pendingTexts.set(textEl, { text, target: outputKey, requestId });
+			renderStatus(textEl, 'pending', '', null, inline);
+			result = await translateText(text, target, detected ? detected.lang : 'auto', { force, requestId });
+			if (_pendingTexts.has(textEl) && _pendingTexts.get(textEl).requestId === requestId) _pendingTexts.delete(textEl);
+		}
+		// config changed while the request was in flight
+		if (generation !== _configGeneration) return;
+		if (result.status === 'cancelled') {
+			// scrolled away before it was sent; the viewport scheduler asks again when it comes back,
+			// and the status line then belongs to that newer request
+			if (!_pendingTexts.has(textEl)) clearStatus(textEl);
+			return;
+		}
+		const translated = result.translated;
+		if (!translated) {
+			_translatedTexts.set(textEl, { text, target: outputKey, failed: true, at: Date.now() });
+			renderStatus(textEl, result.status, result.reason, () => {
+				renderStatus(textEl, 'pending', '', null, inline);
+				handleRegionText(textEl, region, true);
+			}, inline);
+			return;
+		}
+		clearStatus(textEl);
 
+		const content = model ? buildTranslatedFragment(model, translated) : document.createTextNode(translated);
+		const previous = _translations.get(textEl);
+		const info = { key: getTextKey(region, textEl, text), replace: translateCfg.replace, inline, lang: outputLang, content: content.cloneNode(true), originalNodes: previous ? previous.originalNodes : null, providerLabel: result.providerLabel };
+		const showingOriginal = _toggleStates.get(info.key) === 'original';
 		if (translateCfg.replace) {
-			// replace text content - this will remove inline markup; trade-off for a simpler replacement
-			// preserve original via data attribute
-			if (!textEl.hasAttribute('data-xhebrew-original')) textEl.setAttribute('data-xhebrew-original', textEl.innerHTML);
-			textEl.textContent = translated;
+			// preserve original via data attribute and the original nodes, used by the show original toggle and revert
+			if (!textEl.hasAttribute('data-xhebrew-original')) {
+				textEl.setAttribute('data-xhebrew-original', textEl.innerHTML);
+				info.originalNodes = Array.from(textEl.childNodes);
+			}
+			// without markup mode this flattens inline markup into plain text
+			if (!showingOriginal) {
+				textEl.replaceChildren(content);
+				setTextLanguage(textEl, outputLang);
+				info.shownNodes = Array.from(textEl.childNodes);
+			}
 		} else {
-			appendTranslationElement(textEl, translated);
+			const block = appendTranslationElement(textEl, content, inline, outputLang);
+			if (block) block.style.display = showingOriginal ? 'none' : '';
 		}
+		_translations.set(textEl, info);
+		renderToggle(textEl, info);
+		if (!previous) _stats.translated++;
 
-		_translatedTweets.set(container, { text, target: translateCfg.target });
+		_translatedTexts.set(textEl, { text, target: outputKey });
 	}
 
-	async function main() {
-		const cfg = await loadConfig();
-		const mappings = cfg.mappings;
-		const translateCfg = cfg.translate;
+	// Undo translations under root: restore replaced text and drop our appended blocks and toggles
+	function revertTranslations(root) {
+		for (const textEl of root.querySelectorAll('[data-xhebrew-original]')) {
+			const info = _translations.get(textEl);
+			if (info && info.originalNodes) textEl.replaceChildren(...info.originalNodes);
+			else textEl.innerHTML = textEl.getAttribute('data-xhebrew-original');
+			textEl.removeAttribute('data-xhebrew-original');
+			restoreTextLanguage(textEl);
+		}
+		for (const el of root.querySelectorAll('.xhebrew-translation, .xhebrew-toggle, .xhebrew-status')) el.remove();
+		_translatedTexts = new WeakMap();
+		_pendingTexts = new WeakMap();
+		_translations = new WeakMap();
+	}
+
+	let _config = null;
+	let _observer = null;
+	// bumped on every reconfiguration so translations requested under an older config are dropped
+	let _configGeneration = 0;
 
-		// translation is performed by the background service worker; nothing to expose here in the content script
+	// Region texts are translated lazily: an IntersectionObserver reports texts coming within
+	// VIEWPORT_MARGIN of the viewport, and those are translated nearest first. Requests for texts
+	// that move out of that range again are cancelled while they still wait in the background.
+	const VIEWPORT_MARGIN = '600px 0px';
+	let _viewport = null;
+	// region text elements currently within the margin
+	let _nearTexts = new WeakSet();
+	// region text element -> its region, for the ones the viewport observer watches
+	let _observedRegions = new WeakMap();
 
-		// initial pass: find tweet containers and process each
-		const tweetSelector = '[data-testid="tweetText"], article[role="article"]';
-		const candidates = document.querySelectorAll(tweetSelector);
-		for (const cand of candidates) {
-			// normalize: if selector matched tweetText element, climb to container
-			const container = cand.closest('article[role="article"]') || cand.closest('[data-testid]') || cand.closest('article') || cand.parentElement;
-			await handleTweetElement(container, mappings, translateCfg);
+	function translationWanted() {
+		return !!(_config && _config.enabled && _config.translate && (_config.translate.enabled || _config.translate.transliterate || _config.policies.alwaysTranslates));
+	}
+
+	function onViewportChange(entries) {
+		const viewportHeight = window.innerHeight;
+		const entering = [];
+		const cancelled = [];
+		for (const entry of entries) {
+			const textEl = entry.target;
+			if (entry.isIntersecting) {
+				_nearTexts.add(textEl);
+				const r = entry.boundingClientRect;
+				// 0 for texts on screen, otherwise how far off screen they are
+				const distance = r.bottom < 0 ? -r.bottom : (r.top > viewportHeight ? r.top - viewportHeight : 0);
+				entering.push({ textEl, distance });
+				continue;
+			}
+			_nearTexts.delete(textEl);
+			const pending = _pendingTexts.get(textEl);
+			if (pending) {
+				cancelled.push(pending.requestId);
+				// forgotten right away, so a text back in range before the cancel is answered is asked for again
+				_pendingTexts.delete(textEl);
+			}
+			// X recycles elements while scrolling; stop watching the ones it removed
+			if (!textEl.isConnected) _viewport.unobserve(textEl);
+		}
+		cancelTranslation(cancelled);
+		entering.sort((a, b) => a.distance - b.distance);
+		for (const { textEl } of entering) {
+			const region = _observedRegions.get(textEl);
+			if (region && translationWanted()) handleRegionElement(textEl, region, _config.translate);
 		}
+	}
 
-		const observer = new MutationObserver((records) => {
+	function scheduleTranslation(textEl, region) {
+		if (!translationWanted()) return;
+		// already near the viewport: the observer will not report it again, so translate now
+		if (_nearTexts.has(textEl)) {
+			handleRegionElement(textEl, region, _config.translate);
+			return;
+		}
+		if (!_viewport) _viewport = new IntersectionObserver(onViewportChange, { rootMargin: VIEWPORT_MARGIN });
+		_observedRegions.set(textEl, region);
+		_viewport.observe(textEl);
+	}
+
+	// Mappings are applied right away; the translation is left to the viewport scheduler.
+	// force: retry a translation that failed now, see handleRegionElement
+	function handleRegionText(textEl, region, force) {
+		if (!_config || !_config.enabled) return;
+		if (force) return handleRegionElement(textEl, region, _config.translate, true);
+		walkAndReplace(textEl, _config.scoped);
+		scheduleTranslation(textEl, region);
+	}
+
+	// Every text of an enabled region in or at root, and the one root sits in
+	function handleRegionsIn(root) {
+		if (!translationWanted()) return;
+		const regions = _config.translate.regions;
+		const sel = currentSelectors();
+		const at = regionElementAt(root, regions, sel);
+		if (at) handleRegionText(at.textEl, at.region);
+		if (root.nodeType !== Node.ELEMENT_NODE) return;
+		for (const { region, textEl } of findRegionElements(root, regions, sel)) handleRegionText(textEl, region);
+	}
+
+	// Apply mappings anywhere on the page; each text node picks the rules of its scope,
+	// so page-scoped rules also reach the sidebar, profile headers and so on
+	function applyMappings(root) {
+		if (!_config || !_config.enabled) return;
+		walkAndReplace(root, _config.scoped);
+		if (_config.attributes) replaceAttributesIn(root);
+	}
+
+	async function processPage() {
+		applyMappings(document.body);
+		handleRegionsIn(document.body);
+	}
+
+	function createObserver() {
+		return new MutationObserver((records) => {
 			for (const rec of records) {
 				for (const added of rec.addedNodes) {
-					if (added.nodeType === Node.ELEMENT_NODE) {
-						// If an entire tweet container was added
-						const maybeTweet = added.matches && (added.matches('article[role="article"]') || (added.getAttribute && /tweet/i.test(added.getAttribute('data-testid') || '')));
-						if (maybeTweet) {
-							handleTweetElement(added, mappings, translateCfg);
-							continue;
-						}
-						// Otherwise, see if a tweet container exists inside the added subtree
-						const inside = added.querySelector && (added.querySelector('[data-testid="tweetText"], article[role="article"]'));
-						if (inside) {
-							// find nearest container
-							const textEl = added.querySelector('[data-testid="tweetText"]');
-							const container = textEl ? (textEl.closest('article[role="article"]') || textEl.closest('[data-testid]') ) : added.closest('article[role="article"]') || added.closest('[data-testid]');
-							if (container) handleTweetElement(container, mappings, translateCfg);
-						}
-					} else if (added.nodeType === Node.TEXT_NODE) {
-						// if a text node changed, find tweet container
-						const container = findTweetContainer(added.parentElement || added);
-						if (container) handleTweetElement(container, mappings, translateCfg);
-					}
+					if (added.nodeType !== Node.ELEMENT_NODE && added.nodeType !== Node.TEXT_NODE) continue;
+					applyMappings(added);
+					// a whole tweet, profile header… or new text inside a region
+					handleRegionsIn(added);
 				}
 				if (rec.type === 'characterData' && rec.target) {
-					const container = findTweetContainer(rec.target.parentElement || rec.target);
-					if (container) handleTweetElement(container, mappings, translateCfg);
+					applyMappings(rec.target);
+					handleRegionsIn(rec.target);
+				}
+				// only the allowlisted attributes are observed (attributeFilter)
+				if (rec.type === 'attributes' && _config && _config.enabled && _config.attributes) {
+					replaceInAttribute(rec.target, rec.attributeName);
 				}
 			}
 		});
+	}
+
+	// Revert everything done under the previous config, then apply the new one to the page.
+	// A disabled config leaves the page as X rendered it.
+	async function applyConfig(cfg) {
+		_configGeneration++;
+		if (_observer) _observer.disconnect();
+		if (_viewport) _viewport.disconnect();
+		_nearTexts = new WeakSet();
+		_observedRegions = new WeakMap();
+		revertTranslations(document.body);
+		revertReplacements(document.body);
+		revertAttributes(document.body);
+		_config = cfg;
+		if (!cfg.enabled) return;
+		if (!_observer) _observer = createObserver();
+		const options = { childList: true, subtree: true, characterData: true };
+		if (cfg.attributes) Object.assign(options, { attributes: true, attributeFilter: cfg.attributes.names });
+		_observer.observe(document.body, options);
+		await processPage();
+	}
+
+	// Set from the toolbar popup for this tab only: pause xhebrew here, or translate to
+	// another language than the saved one. Neither is stored, so a reload brings the saved settings back.
+	const _tabOverrides = { paused: false, target: null };
+	// the config as loaded from storage, before the tab overrides
+	let _savedConfig = null;
+
+	function applySavedConfig(cfg) {
+		_savedConfig = cfg;
+		const effective = Object.assign({}, cfg, { enabled: cfg.enabled && !_tabOverrides.paused });
+		if (_tabOverrides.target) effective.translate = Object.assign({}, cfg.translate, { target: _tabOverrides.target });
+		return applyConfig(effective);
+	}
+
+	function getTabState() {
+		const translate = _savedConfig ? _savedConfig.translate : DEFAULT_TRANSLATE;
+		return {
+			enabled: !!(_savedConfig && _savedConfig.enabled),
+			paused: _tabOverrides.paused,
+			translateEnabled: !!translate.enabled,
+			transliterate: !!translate.transliterate,
+			target: _tabOverrides.target || translate.target,
+			savedTarget: translate.target,
+			stats: Object.assign({}, _stats)
+		};
+	}
+
+	// Translation of the selected text, from the context menu. Shown in a tooltip under the
+	// selection whatever the translate settings are; the source language is detected among all
+	// the languages xhebrew knows, falling back to the provider's own detection.
+	let _tooltip = null;
+
+	function closeTooltip() {
+		if (_tooltip) _tooltip.remove();
+		_tooltip = null;
+	}
+
+	function showTooltip(rect, text, isError) {
+		if (!_tooltip) {
+			_tooltip = document.createElement('div');
+			_tooltip.className = 'xhebrew-tooltip';
+			_tooltip.setAttribute('dir', 'auto');
+			Object.assign(_tooltip.style, {
+				position: 'absolute', zIndex: '2147483647', maxWidth: '360px', padding: '8px 10px',
+				background: '#fff', color: '#0f1419', border: '1px solid #cfd9de', borderRadius: '8px',
+				boxShadow: '0 2px 8px rgba(0,0,0,0.2)', font: '14px/1.4 system-ui, sans-serif', whiteSpace: 'pre-wrap'
+			});
+			document.body.appendChild(_tooltip);
+		}
+		_tooltip.style.left = Math.max(4, rect.left + window.scrollX) + 'px';
+		_tooltip.style.top = (rect.bottom + window.scrollY + 6) + 'px';
+		_tooltip.style.color = isError ? '#f4212e' : '#0f1419';
+		_tooltip.textContent = text;
+	}
+
+	async function translateSelection(selected) {
+		const text = stripIsolates(selected);
+		const selection = window.getSelection();
+		const range = selection && selection.rangeCount ? selection.getRangeAt(0) : null;
+		const rect = range ? range.getBoundingClientRect() : { left: 16, bottom: 16 };
+		const translateCfg = (_config && _config.translate) || DEFAULT_TRANSLATE;
+		const languages = XHebrewDetect.LANGUAGES.map(l => l.code);
+		const detected = detectSourceLanguage(text, { languages, minRatio: 0.3 });
+		showTooltip(rect, 'Translating…', false);
+		const result = await translateText(text, translateCfg.target, detected ? detected.lang : 'auto');
+		if (result.translated) {
+			showTooltip(rect, result.translated + (result.providerLabel ? '\n— ' + result.providerLabel : ''), false);
+		} else {
+			showTooltip(rect, (STATUS_TEXT[result.status] || STATUS_TEXT.failed) + (result.reason ? ' (' + result.reason + ')' : ''), true);
+		}
+	}
+
+	document.addEventListener('mousedown', (e) => {
+		if (_tooltip && !_tooltip.contains(e.target)) closeTooltip();
+	}, true);
+	document.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') closeTooltip();
+	}, true);
+
+	// Selector diagnostics for the options page: how many elements each selector of the profile
+	// matches on this page and how many texts each region finds with them. `overrides` are the
+	// selector overrides to check, saved or not, in the stored selectorOverrides shape.
+	function runDiagnostics(overrides) {
+		const profile = resolveSelectors(overrides);
+		const sel = profile.selectors;
+		const count = (root, selector) => root.querySelectorAll(selector).length;
+		const selectors = SELECTORS.map(s => {
+			// nested selectors are counted inside their parent elements only, as they are used
+			const matches = s.within
+				? Array.from(document.querySelectorAll(sel[s.within])).reduce((n, parent) => n + count(parent, sel[s.name]), 0)
+				: count(document, sel[s.name]);
+			return { name: s.name, label: s.label, selector: sel[s.name], within: s.within || null, essential: !!s.essential, overridden: profile.overridden.includes(s.name), matches };
+		});
+		const found = findRegionElements(document.body, REGIONS, sel);
+		const enabled = (_config && _config.translate && _config.translate.regions) || [];
+		const regions = REGIONS.map(r => ({ id: r.id, label: r.label, enabled: enabled.includes(r), texts: found.filter(f => f.region === r).length }));
+		return { url: location.href, version: PROFILE_VERSION, stale: profile.stale, invalid: profile.invalid, selectors, regions };
+	}
+
+	// Messages from the popup (browser.tabs.sendMessage); each answers with the tab state
+	async function onPopupMessage(msg) {
+		if (msg.type === 'xhebrewSetPaused') {
+			_tabOverrides.paused = !!msg.paused;
+			await applySavedConfig(_savedConfig);
+		} else if (msg.type === 'xhebrewSetTarget') {
+			_tabOverrides.target = msg.target || null;
+			await applySavedConfig(_savedConfig);
+		}
+		return getTabState();
+	}
+
+	async function main() {
+		// translation is performed by the background script; nothing to expose here in the content script
+		await applySavedConfig(await loadConfig());
+
+		browser.storage.onChanged.addListener(async (changes, area) => {
+			if (area !== 'local') return;
+			if (!CONFIG_KEYS.some(k => k in changes)) return;
+			applySavedConfig(await loadConfig());
+		});
+		browser.runtime.onMessage.addListener((msg) => {
+			if (!msg) return;
+			if (msg.type === 'xhebrewTranslateSelection') {
+				translateSelection(msg.text);
+				return;
+			}
+			if (msg.type === 'xhebrewDiagnostics') return Promise.resolve(runDiagnostics(msg.overrides));
+			if (!['xhebrewGetState', 'xhebrewSetPaused', 'xhebrewSetTarget'].includes(msg.type)) return;
+			return onPopupMessage(msg);
+		});
+	}
 
-		observer.observe(document.body, { childList: true, subtree: true, characterData: true });
-		// start
-		main();
-	}  }()
-); 
\ No newline at end of file
+	// start
+	main();
+})();